@@ -6,11 +6,19 @@
 'use strict';
 
 const _ = require('lodash');
+const _merkle = require('./merkle');
+const _patch = require('./patch');
 const assert = require('assert-plus');
 const bedrock = require('bedrock');
+const BSON = require('bson');
 const database = require('bedrock-mongodb');
 const logger = require('./logger');
-const {BedrockError} = bedrock.util;
+const {config, util: {BedrockError}} = bedrock;
+
+// block meta fields that may not be changed by a JSON Patch
+const PROTECTED_META_FIELDS = ['blockHash', 'merkleRoot', 'updated'];
+// the number of events removed at a time when removing a block's events
+const REMOVE_BATCH_SIZE = 1000;
 const {promisify} = require('util');
 
 /**
@@ -19,7 +27,9 @@ const {promisify} = require('util');
  * @memberof module:bedrock-ledger-storage-mongodb
  */
 class LedgerBlockStorage {
-  constructor({blockCollection, eventCollection, eventStorage, ledgerNodeId}) {
+  constructor({
+    blockCollection, eventCollection, eventStorage, ledgerNodeId, storageId
+  }) {
     // assign the collection used for block storage
     this.collection = blockCollection;
     // assign the collection used for events storage
@@ -27,6 +37,7 @@ class LedgerBlockStorage {
     // event storage API
     this.eventStorage = eventStorage;
     this.ledgerNodeId = ledgerNodeId;
+    this.storageId = storageId;
     this.plugins = {};
     // expose utils that can be used in storage plugins
     this.util = {
@@ -48,12 +59,14 @@ class LedgerBlockStorage {
    *  listeners that a block has been added.
    * @param meta - the metadata associated with the block.
    *   blockHash - the hash value of the block.
+   * @param [session] - a MongoDB client session with a transaction in
+   *   progress to perform the writes in.
    *
    * @return a Promise that resolves to an object with:
    *   block - the block that was committed to storage.
    *   meta - the metadata that was committed to storage.
    */
-  async add({block, emit = true, meta}) {
+  async add({block, emit = true, meta, session}) {
     // check block
     if(!(block && Number.isInteger(block.blockHeight) && block.event)) {
       throw new TypeError(
@@ -72,11 +85,15 @@ class LedgerBlockStorage {
     const query = {
       'meta.blockHeight': blockHeight,
       'meta.eventHash': {$in: event},
+      'meta.deleted': {$exists: false}
     };
-    const eventCount = await this.eventCollection.countDocuments(query);
+    const eventRecords = await this.eventCollection.find(
+      query, {projection: {_id: 0, 'meta.eventHash': 1}, session})
+      .sort({'meta.blockOrder': 1})
+      .toArray();
 
     // failure
-    if(eventCount !== event.length) {
+    if(eventRecords.length !== event.length) {
       throw new BedrockError(
         'Some events have not been properly assigned to the block.',
         'InvalidStateError', {block: _block, event});
@@ -86,24 +103,34 @@ class LedgerBlockStorage {
     const now = Date.now();
     const record = {
       block: _block,
+      // the event hashes are recorded to get the events of a non-consensus
+      // block, whose height may be shared with other blocks
+      eventHash: event,
       id: database.hash(_block.id),
       meta: _.defaults(meta, {
         created: now,
         updated: now
       }),
     };
+    // record the number of events for chain verification and the Merkle
+    // root of the events in block order for event inclusion proofs
+    record.meta.eventCount = event.length;
+    record.meta.merkleRoot = _merkle.getRoot(
+      eventRecords.map(({meta}) => meta.eventHash));
 
     logger.debug(`adding block: ${meta.blockHash}`);
     let insertedRecord;
     try {
+      // NOTE: write concern is set by the transaction when using a session
       insertedRecord = (await this.collection.insertOne(
-        record, database.writeOptions)).ops[0];
+        record, session ? {session} : database.writeOptions)).ops[0];
     } catch(e) {
       if(!database.isDuplicateError(e)) {
         throw e;
       }
       throw new BedrockError(
-        'A block with the same hash already exists.',
+        'A block with the same hash, or a consensus block with the same ' +
+        'height, already exists.',
         'DuplicateError', {blockHash: meta.blockHash}, e);
     }
     if(emit) {
@@ -130,7 +157,8 @@ class LedgerBlockStorage {
     // audit:storage-mongodb/646f54f5-ac4e-40d3-abe7-0af35449c3d1.md
     const query = {
       id: database.hash(blockId),
-      'meta.consensus': consensus
+      'meta.consensus': consensus,
+      'meta.deleted': {$exists: false}
     };
     const projection = {_id: 0};
     const record = await this.collection.findOne(query, {projection});
@@ -139,15 +167,12 @@ class LedgerBlockStorage {
         'A block with the given ID does not exist.',
         'NotFoundError', {blockId});
     }
-    const {block, meta} = record;
     // _expandEvents mutates the parameter
-    await this._expandEvents(block);
+    await this._expandEvents(record);
+    const {block, meta} = record;
     return {block, meta};
   }
 
-  // FIXME: this API is not used anywhere if if it should be kept, it needs
-  // to be updated to get eventhashes etc.
-
   /**
    * Gets the block summary for consensus block given a blockId.
    *
@@ -160,31 +185,148 @@ class LedgerBlockStorage {
    *   has consensus.
    */
   async getSummary({blockId, consensus = true, eventHash = false}) {
-    const query = {
-      id: database.hash(blockId),
-      'meta.consensus': consensus
-    };
-    const projection = {_id: 0};
-    const record = await this.collection.findOne(query, {projection});
-    if(!record) {
+    const [summary] = await this._getSummaries({
+      query: {
+        id: database.hash(blockId), 'meta.consensus': consensus,
+        'meta.deleted': {$exists: false}
+      },
+      eventHash, limit: 1
+    });
+    if(!summary) {
       throw new BedrockError(
         'A block with the given ID does not exist.',
         'NotFoundError', {blockId});
     }
-    const {block, meta} = record;
+    return summary;
+  }
 
-    if(eventHash) {
-      // FIXME: this might be accomplished with aggregate query
-      // get event hashes
-      const query = {'meta.blockHeight': block.blockHeight};
-      const projection = {_id: 0, 'meta.eventHash': 1};
-      block.eventHash = (await this.eventCollection.find(query, {projection})
-        .sort({'meta.blockOrder': 1})
-        .toArray())
-        .map(r => r.meta.eventHash);
+  /**
+   * Gets the block summaries for consensus blocks in a range of block
+   * heights, in height order, using a single aggregation.
+   *
+   * @param [startHeight=0] - the height of the first block.
+   * @param [endHeight] - the height of the last block (defaults to the
+   *   latest block).
+   * @param [eventHash=false] `true` to get the event hashes for each block,
+   *   in block order, as `block.eventHash`.
+   * @param [limit] - the maximum number of summaries to get; to get the
+   *   next page, pass the height after the last summary as `startHeight`.
+   *
+   * @return a Promise that resolves to an array of `{block, meta}`.
+   */
+  async getSummaries({
+    startHeight = 0, endHeight, eventHash = false, limit
+  } = {}) {
+    assert.number(startHeight, 'startHeight');
+    assert.optionalNumber(endHeight, 'endHeight');
+    assert.bool(eventHash, 'eventHash');
+    assert.optionalNumber(limit, 'limit');
+    const blockHeight = {$gte: startHeight};
+    if(endHeight !== undefined) {
+      blockHeight.$lte = endHeight;
     }
+    return this._getSummaries({
+      query: {
+        'block.blockHeight': blockHeight, 'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      },
+      eventHash, limit
+    });
+  }
 
-    return {block, meta};
+  /**
+   * Gets a block given its block hash.
+   *
+   * @param blockHash - the hash of the block.
+   * @param [consensus=true] `false` to retrieve a non-consensus block
+   *   instead.
+   * @param [includeEvents=true] `false` to omit the events in the block.
+   *
+   * @return a Promise that resolves to the block with the given hash.
+   */
+  async getByHash({blockHash, consensus = true, includeEvents = true}) {
+    assert.string(blockHash, 'blockHash');
+    assert.bool(consensus, 'consensus');
+    assert.bool(includeEvents, 'includeEvents');
+    const record = await this._getByHash({blockHash, consensus});
+    if(includeEvents) {
+      // mutates parameter
+      await this._expandEvents(record);
+    }
+    return {block: record.block, meta: record.meta};
+  }
+
+  /**
+   * Gets the block summary for a block given its block hash.
+   *
+   * @param blockHash - the hash of the block.
+   * @param [consensus=true] `false` to retrieve a summary for a
+   *   non-consensus block instead.
+   * @param [eventHash=false] `true` to get all event hashes from `event`.
+   *
+   * @return a Promise that resolves to the block summary for the given hash.
+   */
+  async getSummaryByHash({blockHash, consensus = true, eventHash = false}) {
+    assert.string(blockHash, 'blockHash');
+    assert.bool(consensus, 'consensus');
+    assert.bool(eventHash, 'eventHash');
+    const [summary] = await this._getSummaries({
+      query: {
+        'meta.blockHash': blockHash, 'meta.consensus': consensus,
+        'meta.deleted': {$exists: false}
+      },
+      eventHash, limit: 1
+    });
+    if(!summary) {
+      throw new BedrockError(
+        'A block with the given hash does not exist.',
+        'NotFoundError', {blockHash, httpStatusCode: 404, public: true});
+    }
+    return summary;
+  }
+
+  /**
+   * Gets many blocks given their block hashes.
+   *
+   * @param blockHashes - the hashes of the blocks.
+   * @param [options] - the options to use.
+   * @param [options.consensus=true] `false` to retrieve non-consensus blocks
+   *   instead.
+   * @param [options.includeEvents=true] `false` to omit the events in each
+   *   block (`block.event`).
+   *
+   * @return a Promise that resolves to an object with:
+   *   records - the `{block, meta}` found, in the order of `blockHashes`.
+   *   missing - the block hashes that were not found.
+   */
+  async getManyByHash(
+    blockHashes, {consensus = true, includeEvents = true} = {}) {
+    assert.arrayOfString(blockHashes, 'blockHashes');
+    assert.bool(consensus, 'consensus');
+    assert.bool(includeEvents, 'includeEvents');
+    if(blockHashes.length === 0) {
+      return {records: [], missing: []};
+    }
+    const found = await this.collection.find({
+      'meta.blockHash': {$in: blockHashes},
+      'meta.consensus': consensus,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0}}).toArray();
+    if(includeEvents && found.length > 0) {
+      await this._addEventsToBlocks({records: found, includeOperations: true});
+    }
+    const byHash = new Map(found.map(r => [r.meta.blockHash, r]));
+    const records = [];
+    const missing = [];
+    for(const blockHash of new Set(blockHashes)) {
+      const record = byHash.get(blockHash);
+      if(record) {
+        records.push({block: record.block, meta: record.meta});
+      } else {
+        missing.push(blockHash);
+      }
+    }
+    return {records, missing};
   }
 
   /**
@@ -199,7 +341,8 @@ class LedgerBlockStorage {
     // find an existing block with consensus
     const query = {
       'block.blockHeight': blockHeight,
-      'meta.consensus': true
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
     };
     const projection = {_id: 0};
     const record = await this.collection.findOne(query, {projection});
@@ -209,10 +352,671 @@ class LedgerBlockStorage {
         'NotFoundError', {blockHeight});
     }
     // mutates parameter
-    await this._expandEvents(record.block);
+    await this._expandEvents(record);
     return {block: record.block, meta: record.meta};
   }
 
+  /**
+   * Gets the consensus block closest to a date: the first block with a
+   * `meta.consensusDate` at or after the date or, in the `backward`
+   * direction, the last block with a `meta.consensusDate` at or before it.
+   *
+   * @param date - the date (ms since the epoch).
+   * @param [direction='forward'] - `'forward'` or `'backward'`.
+   * @param [includeEvents=false] `true` to include the events in the block;
+   *   otherwise the block summary is returned.
+   * @param [explain=false] `true` to return query stats.
+   *
+   * @return a Promise that resolves to the block and its meta or the query
+   *   stats.
+   */
+  async getByDate({
+    date, direction = 'forward', includeEvents = false, explain = false
+  }) {
+    assert.number(date, 'date');
+    assert.string(direction, 'direction');
+    assert.bool(includeEvents, 'includeEvents');
+    assert.bool(explain, 'explain');
+    if(!['forward', 'backward'].includes(direction)) {
+      throw new TypeError('"direction" must be "forward" or "backward".');
+    }
+    const forward = direction === 'forward';
+    const sortOrder = forward ? 1 : -1;
+    const cursor = this.collection.find({
+      'meta.consensusDate': forward ? {$gte: date} : {$lte: date},
+      // `meta.consensus` must be included to utilize the proper index
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0}})
+      .sort({'meta.consensusDate': sortOrder, 'block.blockHeight': sortOrder})
+      .hint('block.consensusDate.core.1')
+      .limit(1);
+    if(explain) {
+      return cursor.explain('executionStats');
+    }
+    const [record] = await cursor.toArray();
+    if(!record) {
+      throw new BedrockError(
+        'A block with a consensus date in the given direction does not exist.',
+        'NotFoundError',
+        {date, direction, httpStatusCode: 404, public: true});
+    }
+    if(includeEvents) {
+      // mutates parameter
+      await this._expandEvents(record);
+    }
+    return {block: record.block, meta: record.meta};
+  }
+
+  /**
+   * Gets the consensus blocks with a `meta.consensusDate` in a date window,
+   * in consensus date order.
+   *
+   * @param from - the start of the window (inclusive, ms since the epoch).
+   * @param to - the end of the window (exclusive, ms since the epoch).
+   * @param [includeEvents=false] `true` to include the events (with their
+   *   operations) in each block as `block.event`; otherwise block summaries
+   *   are returned.
+   * @param [limit] - the maximum number of blocks to get.
+   *
+   * @return a Promise that resolves to an array of `{block, meta}`.
+   */
+  async getRangeByDate({from, to, includeEvents = false, limit}) {
+    assert.number(from, 'from');
+    assert.number(to, 'to');
+    assert.bool(includeEvents, 'includeEvents');
+    assert.optionalNumber(limit, 'limit');
+    if(to < from) {
+      throw new TypeError('"to" must not be before "from".');
+    }
+    let cursor = this.collection.find({
+      'meta.consensusDate': {$gte: from, $lt: to},
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0}})
+      .sort({'meta.consensusDate': 1, 'block.blockHeight': 1})
+      .hint('block.consensusDate.core.1');
+    if(limit !== undefined) {
+      cursor = cursor.limit(limit);
+    }
+    const records = await cursor.toArray();
+    if(includeEvents && records.length > 0) {
+      await this._addEventsToBlocks({records, includeOperations: true});
+    }
+    return records.map(({block, meta}) => ({block, meta}));
+  }
+
+  /**
+   * Gets throughput and consensus latency analytics for the consensus blocks
+   * in a range of block heights, grouped into buckets of block heights. All
+   * values are computed with server-side aggregations.
+   *
+   * Percentiles are nearest-rank percentiles. The values for a bucket must
+   * fit in memory on the server, so large ranges should use smaller buckets.
+   *
+   * @param [startHeight=0] - the height of the first block.
+   * @param [endHeight] - the height of the last block (defaults to the
+   *   latest block).
+   * @param [bucket] - the number of block heights per bucket, defaults to
+   *   `config['ledger-storage-mongodb'].blocks.analytics.bucket`.
+   * @param [percentiles] - the percentiles to compute (integers from 1 to
+   *   100), defaults to
+   *   `config['ledger-storage-mongodb'].blocks.analytics.percentiles`.
+   *
+   * @return a Promise that resolves to an array of buckets in height order,
+   *   each with:
+   *   startHeight - the height of the first block in the bucket.
+   *   endHeight - the height of the last block in the bucket.
+   *   blockCount - the number of blocks.
+   *   eventCount - the number of events.
+   *   eventsByType - the number of events by `event.type`.
+   *   operationCount - the number of operations.
+   *   blockInterval - the `mean` and `percentiles` (e.g. `p50`) of the time
+   *     (ms) between consecutive blocks in the bucket.
+   *   consensusLatency - the `mean` and `percentiles` of the time (ms) from
+   *     event `meta.created` to `meta.consensusDate`.
+   *   Means and percentiles are `null` when there are no values.
+   */
+  async getAnalytics({
+    startHeight = 0, endHeight,
+    bucket = config['ledger-storage-mongodb'].blocks.analytics.bucket,
+    percentiles = config['ledger-storage-mongodb'].blocks.analytics.percentiles
+  } = {}) {
+    assert.number(startHeight, 'startHeight');
+    assert.optionalNumber(endHeight, 'endHeight');
+    assert.number(bucket, 'bucket');
+    assert.arrayOfNumber(percentiles, 'percentiles');
+    if(!(Number.isInteger(bucket) && bucket >= 1)) {
+      throw new TypeError('"bucket" must be an integer >= 1.');
+    }
+    if(!percentiles.every(p => Number.isInteger(p) && p >= 1 && p <= 100)) {
+      throw new TypeError(
+        '"percentiles" must be an array of integers from 1 to 100.');
+    }
+
+    const blockHeight = {$gte: startHeight};
+    if(endHeight !== undefined) {
+      blockHeight.$lte = endHeight;
+    }
+    // the height of the first block in the bucket for a block height
+    const bucketOf = height => ({
+      $add: [startHeight, {$multiply: [bucket, {$floor: {
+        $divide: [{$subtract: [height, startHeight]}, bucket]
+      }}]}]
+    });
+    const eventMatch = {$match: {
+      'meta.blockHeight': blockHeight,
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }};
+
+    // block counts and the time between consecutive blocks
+    const blockStats = await this.collection.aggregate([
+      {$match: {
+        'block.blockHeight': blockHeight,
+        'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      }},
+      {$sort: {'block.blockHeight': 1}},
+      {$group: {
+        _id: bucketOf('$block.blockHeight'),
+        blockCount: {$sum: 1},
+        dates: {$push: '$meta.consensusDate'}
+      }},
+      {$project: {
+        blockCount: 1,
+        interval: {$map: {
+          input: {$range: [1, {$size: '$dates'}]},
+          as: 'i',
+          in: {$subtract: [
+            {$arrayElemAt: ['$dates', '$$i']},
+            {$arrayElemAt: ['$dates', {$subtract: ['$$i', 1]}]}
+          ]}
+        }}
+      }},
+      {$unwind: {path: '$interval', preserveNullAndEmptyArrays: true}},
+      {$sort: {_id: 1, interval: 1}},
+      {$group: {
+        _id: '$_id',
+        blockCount: {$first: '$blockCount'},
+        intervals: {$push: '$interval'}
+      }},
+      {$project: {
+        _id: 0,
+        startHeight: '$_id',
+        blockCount: 1,
+        blockInterval: _statsExpression({values: '$intervals', percentiles})
+      }}
+    ], {allowDiskUse: true}).toArray();
+
+    // event counts by type and operation counts
+    const eventCounts = await this.eventCollection.aggregate([
+      eventMatch,
+      {$lookup: {
+        from: this.eventStorage.operationStorage.collection.collectionName,
+        let: {eventHash: '$meta.eventHash'},
+        pipeline: [
+          {$match: {
+            $expr: {$eq: ['$meta.eventHash', '$$eventHash']},
+            'meta.deleted': {$exists: false}
+          }},
+          {$count: 'count'}
+        ],
+        as: 'operations'
+      }},
+      {$group: {
+        _id: {startHeight: bucketOf('$meta.blockHeight'), type: '$event.type'},
+        eventCount: {$sum: 1},
+        operationCount: {$sum: {
+          $ifNull: [{$arrayElemAt: ['$operations.count', 0]}, 0]
+        }}
+      }}
+    ], {allowDiskUse: true}).toArray();
+
+    // the time from event creation to consensus
+    const latencyStats = await this.eventCollection.aggregate([
+      eventMatch,
+      {$project: {
+        _id: 0,
+        startHeight: bucketOf('$meta.blockHeight'),
+        latency: {$subtract: ['$meta.consensusDate', '$meta.created']}
+      }},
+      {$sort: {startHeight: 1, latency: 1}},
+      {$group: {_id: '$startHeight', latencies: {$push: '$latency'}}},
+      {$project: {
+        _id: 0,
+        startHeight: '$_id',
+        consensusLatency: _statsExpression(
+          {values: '$latencies', percentiles})
+      }}
+    ], {allowDiskUse: true}).toArray();
+
+    const emptyStats = () => ({
+      mean: null,
+      percentiles: _.fromPairs(percentiles.map(p => [`p${p}`, null]))
+    });
+    const buckets = new Map();
+    const getBucket = start => {
+      let result = buckets.get(start);
+      if(!result) {
+        let end = start + bucket - 1;
+        if(endHeight !== undefined) {
+          end = Math.min(end, endHeight);
+        }
+        result = {
+          startHeight: start,
+          endHeight: end,
+          blockCount: 0,
+          eventCount: 0,
+          eventsByType: {},
+          operationCount: 0,
+          blockInterval: emptyStats(),
+          consensusLatency: emptyStats()
+        };
+        buckets.set(start, result);
+      }
+      return result;
+    };
+    for(const {startHeight, blockCount, blockInterval} of blockStats) {
+      Object.assign(getBucket(startHeight), {blockCount, blockInterval});
+    }
+    for(const {_id: {startHeight, type}, eventCount, operationCount}
+      of eventCounts) {
+      const result = getBucket(startHeight);
+      result.eventCount += eventCount;
+      result.eventsByType[type] = eventCount;
+      result.operationCount += operationCount;
+    }
+    for(const {startHeight, consensusLatency} of latencyStats) {
+      getBucket(startHeight).consensusLatency = consensusLatency;
+    }
+    return [...buckets.values()].sort((a, b) => a.startHeight - b.startHeight);
+  }
+
+  /**
+   * Gets a proof that an event is included in a consensus block. The proof
+   * is the sibling path from the event hash to the Merkle root of the
+   * block's event hashes in block order, which clients can check with
+   * `verifyEventProof`.
+   *
+   * NOTE: The Merkle root of a block added before Merkle roots were recorded
+   * is computed from its events.
+   *
+   * @param blockHeight - the height of the block.
+   * @param eventHash - the hash of the event.
+   *
+   * @return a Promise that resolves to an object with:
+   *   blockHeight - the height of the block.
+   *   blockHash - the hash of the block.
+   *   eventHash - the hash of the event.
+   *   merkleRoot - the Merkle root of the block.
+   *   proof - an array of `{hash, position}`.
+   */
+  async getEventProof({blockHeight, eventHash}) {
+    assert.number(blockHeight, 'blockHeight');
+    assert.string(eventHash, 'eventHash');
+    const record = await this.collection.findOne({
+      'block.blockHeight': blockHeight,
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0, 'meta.blockHash': 1, 'meta.merkleRoot': 1}});
+    if(!record) {
+      throw new BedrockError(
+        'A block with the given `blockHeight` does not exist.',
+        'NotFoundError', {blockHeight, httpStatusCode: 404, public: true});
+    }
+    const eventRecords = await this.eventCollection.find({
+      'meta.blockHeight': blockHeight,
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0, 'meta.eventHash': 1}})
+      .sort({'meta.blockOrder': 1})
+      .toArray();
+    const hashes = eventRecords.map(({meta}) => meta.eventHash);
+    const index = hashes.indexOf(eventHash);
+    if(index === -1) {
+      throw new BedrockError(
+        'The event is not in the block with the given `blockHeight`.',
+        'NotFoundError',
+        {blockHeight, eventHash, httpStatusCode: 404, public: true});
+    }
+    const {merkleRoot, proof} = _merkle.getProof({hashes, index});
+    const {meta: {blockHash, merkleRoot: expected}} = record;
+    if(expected !== undefined && merkleRoot !== expected) {
+      throw new BedrockError(
+        'The events in the block do not match its Merkle root.',
+        'InvalidStateError', {blockHeight, blockHash, merkleRoot, expected});
+    }
+    return {blockHeight, blockHash, eventHash, merkleRoot, proof};
+  }
+
+  /**
+   * Verifies a proof that an event is included in a block as returned by
+   * `getEventProof`.
+   *
+   * @param eventHash - the hash of the event.
+   * @param proof - the sibling path, an array of `{hash, position}`.
+   * @param merkleRoot - the Merkle root of the block.
+   *
+   * @return `true` if the proof is valid, `false` if not.
+   */
+  static verifyEventProof({eventHash, proof, merkleRoot}) {
+    return _merkle.verifyProof({eventHash, proof, merkleRoot});
+  }
+
+  /**
+   * Gets an async iterator over the consensus blocks in a range of block
+   * heights, in height order (blocks at the same height are ordered by
+   * `meta.blockHash`). Blocks, and optionally their events and operations,
+   * are read in batches; a batch is made smaller when it exceeds the memory
+   * budget and larger again (up to `batchSize`) when it is well within it.
+   * All of the blocks at a height are read in the same batch. Events and
+   * operations are read a height at a time and a batch ends once they reach
+   * the memory budget, so only the events at a single height may exceed it.
+   *
+   * The iterator has a `lastBlock` property with the `{blockHeight,
+   * blockHash}` of the last block yielded (`null` before any block has been
+   * yielded); pass it as `startAfter` to resume iteration. The height of the
+   * last block yielded is also available as `lastBlockHeight`.
+   *
+   * @param [startHeight=0] - the height of the first block.
+   * @param [startAfter] - the `{blockHeight, blockHash}` of the block to
+   *   resume after, instead of `startHeight`.
+   * @param [endHeight] - the height of the last block (defaults to the
+   *   latest block).
+   * @param [includeEvents=false] - `true` to include the events in each
+   *   block as `block.event`.
+   * @param [includeOperations=false] - `true` to include the operations in
+   *   each operation event as `event.operation`; requires `includeEvents`.
+   * @param [batchSize] - the maximum number of blocks per batch, defaults to
+   *   `config['ledger-storage-mongodb'].blocks.range.batchSize`.
+   * @param [maxBatchBytes] - the approximate memory budget for a batch,
+   *   defaults to `config['ledger-storage-mongodb'].blocks.range
+   *   .maxBatchBytes`.
+   *
+   * @return an async iterator of `{block, meta}`.
+   */
+  getRange({
+    startHeight, startAfter, endHeight, includeEvents = false,
+    includeOperations = false, batchSize, maxBatchBytes
+  } = {}) {
+    const cfg = config['ledger-storage-mongodb'].blocks.range;
+    if(batchSize === undefined) {
+      batchSize = cfg.batchSize;
+    }
+    if(maxBatchBytes === undefined) {
+      maxBatchBytes = cfg.maxBatchBytes;
+    }
+    assert.optionalNumber(startHeight, 'startHeight');
+    assert.optionalObject(startAfter, 'startAfter');
+    assert.optionalNumber(endHeight, 'endHeight');
+    assert.bool(includeEvents, 'includeEvents');
+    assert.bool(includeOperations, 'includeOperations');
+    assert.number(batchSize, 'batchSize');
+    assert.number(maxBatchBytes, 'maxBatchBytes');
+    if(startAfter) {
+      assert.number(startAfter.blockHeight, 'startAfter.blockHeight');
+      assert.string(startAfter.blockHash, 'startAfter.blockHash');
+      if(startHeight !== undefined) {
+        throw new TypeError(
+          'Only one of "startHeight" or "startAfter" may be given.');
+      }
+    }
+    if(!(batchSize >= 1)) {
+      throw new TypeError('"batchSize" must be at least 1.');
+    }
+    if(includeOperations && !includeEvents) {
+      throw new TypeError(
+        '"includeOperations" requires "includeEvents" to be `true`.');
+    }
+
+    let lastBlock = null;
+    const self = this;
+    // reads the consensus blocks matching a height query, in order
+    async function read({blockHeight, blockHash, limit}) {
+      const query = {
+        'block.blockHeight': blockHeight, 'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      };
+      if(blockHash) {
+        query['meta.blockHash'] = blockHash;
+      }
+      let cursor = self.collection.find(query, {projection: {_id: 0}})
+        .sort({'block.blockHeight': 1});
+      if(limit !== undefined) {
+        cursor = cursor.limit(limit);
+      }
+      const records = await cursor.toArray();
+      return records.sort((a, b) =>
+        a.block.blockHeight - b.block.blockHeight ||
+        (a.meta.blockHash < b.meta.blockHash ? -1 : 1));
+    }
+    async function* generate() {
+      let nextHeight = startHeight || 0;
+      let limit = batchSize;
+      let records = [];
+      if(startAfter) {
+        // the rest of the blocks at the height of the block to resume after
+        records = await read({
+          blockHeight: startAfter.blockHeight,
+          blockHash: {$gt: startAfter.blockHash}
+        });
+        nextHeight = startAfter.blockHeight + 1;
+      }
+      let done = false;
+      while(!(done && records.length === 0)) {
+        if(records.length === 0) {
+          if(endHeight !== undefined && nextHeight > endHeight) {
+            return;
+          }
+          const blockHeight = {$gte: nextHeight};
+          if(endHeight !== undefined) {
+            blockHeight.$lte = endHeight;
+          }
+          records = await read({blockHeight, limit});
+          if(records.length < limit) {
+            done = true;
+          } else {
+            // the blocks at the last height may not all have been read; read
+            // them in the next batch or, if there are no other blocks in this
+            // batch, read all of them now
+            const {blockHeight: last} = records[records.length - 1].block;
+            const rest = records.filter(r => r.block.blockHeight !== last);
+            records = rest.length > 0 ? rest : await read({blockHeight: last});
+          }
+          if(records.length === 0) {
+            return;
+          }
+          nextHeight = records[records.length - 1].block.blockHeight + 1;
+        }
+        let bytes = _calculateSize(records);
+        if(includeEvents) {
+          const result = await self._addEventsToBlocksWithinBudget(
+            {records, includeOperations, maxBytes: maxBatchBytes - bytes});
+          bytes += result.bytes;
+          if(result.count < records.length) {
+            // the events of the other blocks are read in the next batch
+            records = records.slice(0, result.count);
+            nextHeight = records[records.length - 1].block.blockHeight + 1;
+            done = false;
+          }
+        }
+        for(const {block, meta} of records) {
+          lastBlock = {
+            blockHeight: block.blockHeight, blockHash: meta.blockHash
+          };
+          yield {block, meta};
+        }
+        records = [];
+        // adapt the batch size to the memory budget
+        if(bytes > maxBatchBytes) {
+          limit = Math.max(1, Math.floor(limit * maxBatchBytes / bytes));
+        } else if(bytes < maxBatchBytes / 2) {
+          limit = Math.min(batchSize, limit * 2);
+        }
+      }
+    }
+
+    const iterator = generate();
+    Object.defineProperties(iterator, {
+      lastBlock: {
+        get() {
+          return lastBlock;
+        }
+      },
+      lastBlockHeight: {
+        get() {
+          return lastBlock ? lastBlock.blockHeight : null;
+        }
+      }
+    });
+    return iterator;
+  }
+
+  /**
+   * Verifies that the consensus blocks in a range of block heights form an
+   * unbroken chain. Each problem found is reported with the height of the
+   * block and one of these kinds:
+   *
+   *   `gap` - blocks are missing below this height (`details.missing` has
+   *     the first and last missing heights).
+   *   `duplicateHeight` - more than one consensus block has this height.
+   *   `previousBlockHashMismatch` - `block.previousBlockHash` does not match
+   *     the `meta.blockHash` of the block at the previous height.
+   *   `eventCountMismatch` - the number of consensus events at this height
+   *     does not match the number of events the block was added with
+   *     (blocks added before event counts were recorded are not checked).
+   *   `checkpointMismatch` - the checkpointed block has been replaced.
+   *
+   * In incremental mode, only the blocks after the last verified checkpoint
+   * are checked and, when no problems are found, the checkpoint (stored in
+   * the ledger registry as `meta.chainCheckpoint`) is advanced to the last
+   * block checked.
+   *
+   * @param [startHeight=0] - the height of the first block to check; may not
+   *   be given in incremental mode.
+   * @param [endHeight] - the height of the last block to check (defaults to
+   *   the latest block).
+   * @param [incremental=false] - `true` to check only the blocks added since
+   *   the last verified checkpoint.
+   * @param [batchSize] - the number of blocks to read per batch.
+   *
+   * @return a Promise that resolves to an object with:
+   *   valid - `true` if no problems were found.
+   *   problems - an array of `{blockHeight, kind, details}`.
+   *   startHeight - the height of the first block checked.
+   *   lastBlockHeight - the height of the last block checked or `null`.
+   *   checkpoint - the checkpoint after verification or `null`.
+   */
+  async verifyChain({
+    startHeight, endHeight, incremental = false,
+    batchSize = config['ledger-storage-mongodb'].blocks.range.batchSize
+  } = {}) {
+    assert.optionalNumber(startHeight, 'startHeight');
+    assert.optionalNumber(endHeight, 'endHeight');
+    assert.bool(incremental, 'incremental');
+    assert.number(batchSize, 'batchSize');
+    if(incremental && startHeight !== undefined) {
+      throw new TypeError(
+        '"startHeight" may not be given in incremental mode.');
+    }
+
+    const problems = [];
+    let checkpoint = null;
+    let previous = null;
+    if(incremental) {
+      checkpoint = await this._getChainCheckpoint();
+    }
+    if(checkpoint) {
+      // the checkpoint block anchors the blocks after it
+      startHeight = checkpoint.blockHeight + 1;
+      const [record] = await this.collection.find({
+        'block.blockHeight': checkpoint.blockHeight,
+        'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      }, {projection: {_id: 0, 'block.blockHeight': 1, 'meta.blockHash': 1}})
+        .limit(1).toArray();
+      if(!record || record.meta.blockHash !== checkpoint.blockHash) {
+        problems.push({
+          blockHeight: checkpoint.blockHeight,
+          kind: 'checkpointMismatch',
+          details: {
+            expected: checkpoint.blockHash,
+            actual: record ? record.meta.blockHash : null
+          }
+        });
+      }
+      previous = record || null;
+    } else if(startHeight === undefined) {
+      startHeight = 0;
+    } else if(startHeight > 0) {
+      // the block before the range anchors the first block in the range
+      const [record] = await this.collection.find({
+        'block.blockHeight': startHeight - 1,
+        'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      }, {projection: {_id: 0, 'block.blockHeight': 1, 'meta.blockHash': 1}})
+        .limit(1).toArray();
+      previous = record || null;
+    }
+
+    let lastBlockHeight = null;
+    let lastBlockHash = null;
+    let expectedHeight = startHeight;
+    let batch = [];
+    const checkBatch = async () => {
+      problems.push(...await this._checkEventCounts(batch));
+      batch = [];
+    };
+    for await (const record of this.getRange(
+      {startHeight, endHeight, batchSize})) {
+      const {block, meta} = record;
+      const {blockHeight} = block;
+      if(blockHeight === lastBlockHeight) {
+        problems.push({blockHeight, kind: 'duplicateHeight', details: {
+          blockHashes: [lastBlockHash, meta.blockHash]
+        }});
+      } else {
+        if(blockHeight > expectedHeight) {
+          problems.push({blockHeight, kind: 'gap', details: {
+            missing: [expectedHeight, blockHeight - 1]
+          }});
+        } else if(previous &&
+          block.previousBlockHash !== previous.meta.blockHash) {
+          problems.push({
+            blockHeight, kind: 'previousBlockHashMismatch', details: {
+              expected: previous.meta.blockHash,
+              actual: block.previousBlockHash
+            }
+          });
+        }
+        expectedHeight = blockHeight + 1;
+      }
+      previous = record;
+      lastBlockHeight = blockHeight;
+      lastBlockHash = meta.blockHash;
+      batch.push(record);
+      if(batch.length >= batchSize) {
+        await checkBatch();
+      }
+    }
+    if(batch.length > 0) {
+      await checkBatch();
+    }
+    problems.sort((a, b) => a.blockHeight - b.blockHeight);
+
+    const valid = problems.length === 0;
+    if(incremental && valid && lastBlockHeight !== null) {
+      checkpoint = {
+        blockHeight: lastBlockHeight,
+        blockHash: lastBlockHash,
+        date: Date.now()
+      };
+      await this._setChainCheckpoint(checkpoint);
+    }
+    return {valid, problems, startHeight, lastBlockHeight, checkpoint};
+  }
+
   /**
    * Gets the block summary for consensus block given a blockHeight.
    *
@@ -225,30 +1029,19 @@ class LedgerBlockStorage {
    */
   async getSummaryByHeight(
     {blockHeight, consensus = true, eventHash = false}) {
-    const query = {
-      'block.blockHeight': blockHeight,
-      'meta.consensus': consensus
-    };
-    const projection = {_id: 0};
-    const record = await this.collection.findOne(query, {projection});
-    if(!record) {
+    const [summary] = await this._getSummaries({
+      query: {
+        'block.blockHeight': blockHeight, 'meta.consensus': consensus,
+        'meta.deleted': {$exists: false}
+      },
+      eventHash, limit: 1
+    });
+    if(!summary) {
       throw new BedrockError(
         'A block with the given block height does not exist.',
         'NotFoundError', {blockHeight});
     }
-    const {block, meta} = record;
-    if(eventHash) {
-      // TODO: make code DRY
-      // FIXME: this might be accomplished with aggregate query
-      // get event hashes
-      const query = {'meta.blockHeight': block.blockHeight};
-      const projection = {_id: 0, 'meta.eventHash': 1};
-      const records = await this.eventCollection.find(query, {projection})
-        .sort({'meta.blockOrder': 1})
-        .toArray();
-      block.eventHash = records.map(r => r.meta.eventHash);
-    }
-    return {block, meta};
+    return summary;
   }
 
   /**
@@ -261,7 +1054,8 @@ class LedgerBlockStorage {
     // find the genesis block with consensus
     const query = {
       'block.blockHeight': 0,
-      'meta.consensus': true
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
     };
     const projection = {_id: 0};
     const record = await this.collection.findOne(query, {projection});
@@ -270,9 +1064,9 @@ class LedgerBlockStorage {
         'The genesis block does not exist.',
         'NotFoundError');
     }
-    const {block, meta} = record;
     // NOTE: _expandEvents mutates record.block
-    await this._expandEvents(block);
+    await this._expandEvents(record);
+    const {block, meta} = record;
     return {genesisBlock: {block, meta}};
   }
 
@@ -284,7 +1078,7 @@ class LedgerBlockStorage {
    */
   async getLatest() {
     // audit:storage-mongodb/2ed084c3-ec0b-4e4d-8371-8d788c2e2234.md
-    const query = {'meta.consensus': true};
+    const query = {'meta.consensus': true, 'meta.deleted': {$exists: false}};
     const projection = {_id: 0};
     const sort = {'block.blockHeight': -1};
     const records = await this.collection.find(query, {projection})
@@ -293,7 +1087,7 @@ class LedgerBlockStorage {
       return {eventBlock: {}};
     }
     // _expandEvents mutates the event array in the block
-    await this._expandEvents(records[0].block);
+    await this._expandEvents(records[0]);
     return {eventBlock: records[0]};
   }
 
@@ -306,7 +1100,7 @@ class LedgerBlockStorage {
    *   or the query stats.
    */
   async getLatestBlockHeight({explain = false} = {}) {
-    const query = {'meta.consensus': true};
+    const query = {'meta.consensus': true, 'meta.deleted': {$exists: false}};
     const projection = {_id: 0, 'block.blockHeight': 1};
     const sort = {'block.blockHeight': -1};
     const cursor = this.collection.find(query, {projection}).sort(sort)
@@ -333,7 +1127,7 @@ class LedgerBlockStorage {
   async getLatestSummary() {
     // find the latest config block with consensus
     // audit:storage-mongodb/2ed084c3-ec0b-4e4d-8371-8d788c2e2234.md
-    const query = {'meta.consensus': true};
+    const query = {'meta.consensus': true, 'meta.deleted': {$exists: false}};
     const projection = {
       _id: 0,
       'block.@context': 1,
@@ -351,10 +1145,156 @@ class LedgerBlockStorage {
     return {eventBlock};
   }
 
+  /**
+   * Lists pending (non-consensus) blocks in block height order, a page at a
+   * time.
+   *
+   * @param [limit=100] - the maximum number of blocks to list.
+   * @param [continuationToken] - the token returned with the previous page.
+   *
+   * @return a Promise that resolves to an object with:
+   *   blocks - an array of `{block, meta}` (without events).
+   *   continuationToken - a token to get the next page or `null` if there
+   *     are no more pending blocks.
+   */
+  async listPending({limit = 100, continuationToken} = {}) {
+    assert.number(limit, 'limit');
+    assert.optionalString(continuationToken, 'continuationToken');
+    const query = {'meta.consensus': false, 'meta.deleted': {$exists: false}};
+    if(continuationToken) {
+      const {blockHeight, blockHash} =
+        _decodeContinuationToken(continuationToken);
+      query.$or = [
+        {'block.blockHeight': {$gt: blockHeight}},
+        {'block.blockHeight': blockHeight, 'meta.blockHash': {$gt: blockHash}}
+      ];
+    }
+    const records = await this.collection.find(
+      query, {projection: {_id: 0}})
+      .sort({'block.blockHeight': 1, 'meta.blockHash': 1})
+      .limit(limit + 1)
+      .toArray();
+    const blocks = records.slice(0, limit)
+      .map(({block, meta}) => ({block, meta}));
+    let nextToken = null;
+    if(records.length > limit) {
+      const [{block, meta}] = blocks.slice(-1);
+      nextToken = _encodeContinuationToken(
+        {blockHeight: block.blockHeight, blockHash: meta.blockHash});
+    }
+    return {blocks, continuationToken: nextToken};
+  }
+
+  /**
+   * Promotes a pending (non-consensus) block to consensus. The block is not
+   * promoted if a consensus block already exists at its height; of competing
+   * blocks that are promoted concurrently, only one is promoted and the
+   * others are refused with a `DuplicateError`.
+   *
+   * NOTE: The events in the block must be assigned to it by the consensus
+   * algorithm, they are not modified.
+   *
+   * @param blockHash - the hash of the pending block.
+   * @param [consensusDate=Date.now()] - the date consensus was reached.
+   *
+   * @return a Promise that resolves to the block and its meta (without
+   *   events).
+   */
+  async promote({blockHash, consensusDate = Date.now()}) {
+    assert.string(blockHash, 'blockHash');
+    assert.number(consensusDate, 'consensusDate');
+    const pending = await this.collection.findOne({
+      'meta.blockHash': blockHash, 'meta.consensus': false,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0, 'block.blockHeight': 1}});
+    if(!pending) {
+      throw new BedrockError(
+        'A pending block with the given hash does not exist.',
+        'NotFoundError', {blockHash, httpStatusCode: 404, public: true});
+    }
+    const {block: {blockHeight}} = pending;
+    // consensus blocks that are marked as deleted still hold their height
+    const competing = await this.collection.countDocuments({
+      'block.blockHeight': blockHeight, 'meta.consensus': true
+    });
+    if(competing !== 0) {
+      throw new BedrockError(
+        'A consensus block already exists at the block height.',
+        'InvalidStateError',
+        {blockHash, blockHeight, httpStatusCode: 409, public: true});
+    }
+    // a competing block that is promoted concurrently is caught by the
+    // unique `block.blockHeight.core.2` index
+    let result;
+    try {
+      result = await this.collection.findOneAndUpdate({
+        'meta.blockHash': blockHash, 'meta.consensus': false,
+        'meta.deleted': {$exists: false}
+      }, {
+        $set: {
+          'meta.consensus': true,
+          'meta.consensusDate': consensusDate,
+          'meta.updated': Date.now()
+        }
+      }, {
+        ...database.writeOptions,
+        projection: {_id: 0},
+        returnOriginal: false
+      });
+    } catch(e) {
+      if(database.isDuplicateError(e)) {
+        throw new BedrockError(
+          'A consensus block already exists at the block height.',
+          'DuplicateError',
+          {blockHash, blockHeight, httpStatusCode: 409, public: true}, e);
+      }
+      throw e;
+    }
+    if(!result.value) {
+      throw new BedrockError(
+        'A pending block with the given hash does not exist.',
+        'NotFoundError', {blockHash, httpStatusCode: 404, public: true});
+    }
+    const {block, meta} = result.value;
+    return {block, meta};
+  }
+
+  /**
+   * Removes pending (non-consensus) blocks that are older than a maximum
+   * age.
+   *
+   * @param [maxAge] - the age (ms) a pending block must have to be removed,
+   *   defaults to `config['ledger-storage-mongodb'].blocks.pending.maxAge`.
+   *
+   * @return a Promise that resolves to the number of blocks removed.
+   */
+  async removePending({
+    maxAge = config['ledger-storage-mongodb'].blocks.pending.maxAge
+  } = {}) {
+    assert.number(maxAge, 'maxAge');
+    const {deletedCount} = await this.collection.deleteMany({
+      'meta.consensus': false,
+      'meta.created': {$lt: Date.now() - maxAge}
+    }, database.writeOptions);
+    if(deletedCount > 0) {
+      logger.debug('removed pending blocks', {
+        count: deletedCount, ledgerNodeId: this.ledgerNodeId
+      });
+    }
+    return deletedCount;
+  }
+
   /**
    * Update an existing block in the ledger given a block hash, an array of
    * patch instructions, and a set of options.
    *
+   * The patch may be a JSON Patch (RFC 6902) that changes paths under
+   * `/meta` (other than `/meta/blockHash`, `/meta/merkleRoot` and
+   * `/meta/updated`); its `test` operations are preconditions for the
+   * update. The legacy format, an array of
+   * `{op: 'set'|'unset'|'add'|'remove', changes: {meta}}`, is also
+   * supported.
+   *
    * @param blockHash - the hash of the block to update.
    * @param patch - the patch instructions to execute on the block.
    */
@@ -363,7 +1303,22 @@ class LedgerBlockStorage {
       throw new TypeError('"patch" must be an array.');
     }
 
-    // TODO: change to use fast-json-patch
+    if(_patch.isJsonPatch({patch, type: 'block'})) {
+      _patch.validate(
+        {patch, type: 'block', protectedFields: PROTECTED_META_FIELDS});
+      const meta = await _patch.updateMeta({
+        collection: this.collection,
+        filter: {'meta.blockHash': blockHash, 'meta.deleted': {$exists: false}},
+        patch, type: 'block'
+      });
+      if(!meta) {
+        throw new BedrockError(
+          'Could not update block. Block with given hash not found.',
+          'NotFoundError', {blockHash});
+      }
+      return;
+    }
+
     const setObject = {};
     const unsetObject = {};
     const pushFields = {};
@@ -400,6 +1355,10 @@ class LedgerBlockStorage {
         } else {
           pullFields[field] = [arrayUpdate[field]];
         }
+      } else {
+        throw new BedrockError(
+          'Invalid block patch; unknown operation.',
+          'DataError', {operation});
       }
     }
 
@@ -421,7 +1380,8 @@ class LedgerBlockStorage {
       update.$pullAll = pullFields;
     }
     const result = await this.collection.updateOne(
-      {'meta.blockHash': blockHash}, update, database.writeOptions);
+      {'meta.blockHash': blockHash, 'meta.deleted': {$exists: false}}, update,
+      database.writeOptions);
     if(result.result.n === 0) {
       throw new BedrockError(
         'Could not update block. Block with given hash not found.',
@@ -430,40 +1390,470 @@ class LedgerBlockStorage {
   }
 
   /**
-   * Delete a block in the ledger given a block hash and a set of options.
+   * Removes a block in the ledger given a block hash and, optionally, the
+   * events in the block and their operations.
+   *
+   * By default, records are marked as deleted (`meta.deleted`) with the rest
+   * of their meta intact and are excluded from all read APIs. Marked records
+   * still hold their unique index keys (e.g. `meta.eventHash`), so they can
+   * not be added again; use `hard` to delete them from storage instead.
+   *
+   * The events in a block are the events with its `meta.blockHeight` and
+   * `meta.consensus` status. The block itself is removed last so that a
+   * removal that fails part way can be run again.
    *
-   * @param blockHash - the hash of the block to delete.
+   * @param blockHash - the hash of the block to remove.
+   * @param [options] - the options to use.
+   * @param [options.events=false] `true` to also remove the events in the
+   *   block.
+   * @param [options.operations=false] `true` to also remove the operations
+   *   in those events; requires `events`.
+   * @param [options.hard=false] `true` to delete the records from storage
+   *   rather than mark them as deleted; a block that is already marked as
+   *   deleted may be hard deleted.
+   *
+   * @return a Promise that resolves to an object with:
+   *   eventCount - the number of events removed.
+   *   operationCount - the number of operations removed.
    */
-  async remove(blockHash) {
-    // find and delete the existing block
-    const filter = {
-      'meta.blockHash': blockHash
+  async remove(
+    blockHash, {events = false, operations = false, hard = false} = {}) {
+    assert.string(blockHash, 'blockHash');
+    assert.bool(events, 'events');
+    assert.bool(operations, 'operations');
+    assert.bool(hard, 'hard');
+    if(operations && !events) {
+      throw new TypeError('"operations" requires "events" to be `true`.');
+    }
+
+    const filter = {'meta.blockHash': blockHash};
+    if(!hard) {
+      filter['meta.deleted'] = {$exists: false};
+    }
+    const record = await this.collection.findOne(filter, {
+      projection: {_id: 0, 'block.blockHeight': 1, 'meta.consensus': 1}
+    });
+    if(!record) {
+      throw new BedrockError(
+        'Failed to remove block; block not found.',
+        'NotFoundError', {blockHash});
+    }
+
+    let eventCount = 0;
+    let operationCount = 0;
+    if(events) {
+      ({eventCount, operationCount} = await this._removeEvents({
+        blockHeight: record.block.blockHeight,
+        consensus: record.meta.consensus, operations, hard
+      }));
+    }
+
+    let result;
+    if(hard) {
+      result = await this.collection.deleteOne(filter, database.writeOptions);
+    } else {
+      const now = Date.now();
+      result = await this.collection.updateOne(filter, {
+        $set: {'meta.updated': now, 'meta.deleted': now}
+      }, database.writeOptions);
+    }
+    if((hard ? result.deletedCount : result.matchedCount) !== 1) {
+      throw new BedrockError(
+        'Failed to remove block; block not found.',
+        'NotFoundError', {blockHash});
+    }
+    return {eventCount, operationCount};
+  }
+
+  // returns `eventCountMismatch` problems for the given block records
+  async _checkEventCounts(records) {
+    const {blockHeight: first} = records[0].block;
+    const {blockHeight: last} = records[records.length - 1].block;
+    const counts = await this.eventCollection.aggregate([
+      {$match: {
+        'meta.blockHeight': {$gte: first, $lte: last},
+        'meta.consensus': true,
+        'meta.deleted': {$exists: false}
+      }},
+      {$group: {_id: '$meta.blockHeight', count: {$sum: 1}}}
+    ], {allowDiskUse: true}).toArray();
+    const actual = new Map(counts.map(({_id, count}) => [_id, count]));
+    const problems = [];
+    for(const {block: {blockHeight}, meta: {eventCount}} of records) {
+      const count = actual.get(blockHeight) || 0;
+      if(eventCount !== undefined && count !== eventCount) {
+        problems.push({blockHeight, kind: 'eventCountMismatch', details: {
+          expected: eventCount, actual: count
+        }});
+      }
+    }
+    return problems;
+  }
+
+  async _getChainCheckpoint() {
+    const record = await database.collections.ledger.findOne(
+      {id: this.storageId}, {projection: {_id: 0, 'meta.chainCheckpoint': 1}});
+    if(!record) {
+      throw new BedrockError(
+        'A ledger with the given storage ID does not exist.',
+        'NotFoundError', {storageId: this.storageId});
+    }
+    return record.meta.chainCheckpoint || null;
+  }
+
+  async _setChainCheckpoint(checkpoint) {
+    await database.collections.ledger.updateOne({id: this.storageId}, {
+      $set: {'meta.chainCheckpoint': checkpoint, 'meta.updated': Date.now()}
+    }, database.writeOptions);
+  }
+
+  // clears the chain checkpoint if it is above the given block height
+  async _clearChainCheckpoint({blockHeight}) {
+    await database.collections.ledger.updateOne({
+      id: this.storageId,
+      'meta.chainCheckpoint.blockHeight': {$gt: blockHeight}
+    }, {
+      $set: {'meta.updated': Date.now()},
+      $unset: {'meta.chainCheckpoint': ''}
+    }, database.writeOptions);
+  }
+
+  // removes the events at a block height, and optionally their operations,
+  // in batches; returns the number of events and operations removed
+  async _removeEvents({blockHeight, consensus, operations, hard}) {
+    const {collection: operationCollection} =
+      this.eventStorage.operationStorage;
+    const query = {
+      'meta.blockHeight': blockHeight, 'meta.consensus': consensus
     };
-    const now = Date.now();
-    const update = {
-      $set: {
-        meta: {
-          updated: now,
-          deleted: now
-        }
+    if(!hard) {
+      query['meta.deleted'] = {$exists: false};
+    }
+    const cursor = this.eventCollection.find(
+      query, {projection: {_id: 0, 'meta.eventHash': 1}});
+    let eventCount = 0;
+    let operationCount = 0;
+    let eventHashes = [];
+    const removeBatch = async () => {
+      const batchQuery = {'meta.eventHash': {$in: eventHashes}};
+      if(operations) {
+        operationCount += await _removeMany(
+          {collection: operationCollection, query: batchQuery, hard});
       }
+      eventCount += await _removeMany(
+        {collection: this.eventCollection, query: batchQuery, hard});
+      eventHashes = [];
+    };
+    while(await cursor.hasNext()) {
+      const {meta: {eventHash}} = await cursor.next();
+      eventHashes.push(eventHash);
+      if(eventHashes.length >= REMOVE_BATCH_SIZE) {
+        await removeBatch();
+      }
+    }
+    if(eventHashes.length > 0) {
+      await removeBatch();
+    }
+    return {eventCount, operationCount};
+  }
+
+  async _getByHash({blockHash, consensus}) {
+    const query = {
+      'meta.blockHash': blockHash,
+      'meta.consensus': consensus,
+      'meta.deleted': {$exists: false}
     };
-    const result = await this.collection.updateOne(filter, update);
-    if(result.matchedCount !== 1) {
+    const projection = {_id: 0};
+    const record = await this.collection.findOne(query, {projection});
+    if(!record) {
       throw new BedrockError(
-        'Failed to remove block; block not found.',
-        'NotFoundError', {blockHash});
+        'A block with the given hash does not exist.',
+        'NotFoundError', {blockHash, httpStatusCode: 404, public: true});
     }
+    return record;
   }
 
-  async _expandEvents(block) {
+  // gets the summaries of the blocks that match a query in height order,
+  // optionally with the hashes of their events in block order
+  async _getSummaries({query, eventHash, limit}) {
+    const pipeline = [
+      {$match: query},
+      {$sort: {'block.blockHeight': 1}}
+    ];
+    if(limit !== undefined) {
+      pipeline.push({$limit: limit});
+    }
+    pipeline.push({$project: {_id: 0}});
+    if(eventHash) {
+      pipeline.push({
+        $lookup: {
+          from: this.eventCollection.collectionName,
+          let: {blockHeight: '$block.blockHeight'},
+          pipeline: [
+            {$match: {
+              $expr: {$eq: ['$meta.blockHeight', '$$blockHeight']},
+              // only the consensus events at a height are in the consensus
+              // block, the events of other blocks are handled below
+              'meta.consensus': true,
+              'meta.deleted': {$exists: false}
+            }},
+            {$sort: {'meta.blockOrder': 1}},
+            {$project: {_id: 0, eventHash: '$meta.eventHash'}}
+          ],
+          as: 'block.eventHash'
+        }
+      }, {
+        $addFields: {'block.eventHash': '$block.eventHash.eventHash'}
+      });
+    }
+    const records = await this.collection.aggregate(
+      pipeline, {allowDiskUse: true}).toArray();
+    const summaries = [];
+    for(const {block, meta, eventHash: recordedHashes} of records) {
+      if(eventHash && !meta.consensus) {
+        // the events of a non-consensus block are those recorded when it was
+        // added, its height may be shared with other blocks
+        block.eventHash = recordedHashes ||
+          // blocks added before their event hashes were recorded
+          (await this.eventCollection.find({
+            'meta.blockHeight': block.blockHeight,
+            'meta.consensus': {$ne: true},
+            'meta.deleted': {$exists: false}
+          }, {projection: {_id: 0, 'meta.eventHash': 1}})
+            .sort({'meta.blockOrder': 1})
+            .toArray()).map(({meta}) => meta.eventHash);
+      }
+      summaries.push({block, meta});
+    }
+    return summaries;
+  }
+
+  // sets `block.event` on the given consensus block records, in height
+  // order, reading their events (and operations) a height at a time until
+  // the memory budget is reached; the events at the first height are always
+  // read; returns the number of leading records whose events were read and
+  // the approximate size of the events and operations in bytes
+  async _addEventsToBlocksWithinBudget({records, includeOperations, maxBytes}) {
+    const heights = [...new Set(records.map(({block}) => block.blockHeight))];
+    const cursor = this.eventCollection.find({
+      'meta.blockHeight': {$in: heights},
+      'meta.consensus': true,
+      'meta.deleted': {$exists: false}
+    }, {projection: {_id: 0, event: 1, meta: 1}})
+      .sort({'meta.blockHeight': 1, 'meta.blockOrder': 1});
+    const eventsByHeight = new Map();
+    let bytes = 0;
+    let height;
+    let eventRecords = [];
+    const readHeight = async () => {
+      bytes += _calculateSize(eventRecords);
+      if(includeOperations) {
+        bytes += await this._addOperationsToEvents(eventRecords);
+      }
+      eventsByHeight.set(height, eventRecords.map(({event}) => event));
+    };
+    let exhausted = true;
+    try {
+      while(await cursor.hasNext()) {
+        const record = await cursor.next();
+        if(record.meta.blockHeight !== height) {
+          if(eventRecords.length > 0) {
+            await readHeight();
+            if(bytes > maxBytes) {
+              exhausted = false;
+              break;
+            }
+          }
+          height = record.meta.blockHeight;
+          eventRecords = [];
+        }
+        eventRecords.push(record);
+      }
+      if(exhausted && eventRecords.length > 0) {
+        await readHeight();
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    let count = 0;
+    for(const {block} of records) {
+      if(!exhausted && block.blockHeight > height) {
+        break;
+      }
+      const events = eventsByHeight.get(block.blockHeight);
+      block.event = events ? events.slice() : [];
+      count++;
+    }
+    return {count, bytes};
+  }
+
+  // sets `event.operation` on the operation events of the given event
+  // records, returns the approximate size of the operations in bytes
+  async _addOperationsToEvents(eventRecords) {
+    const eventHashes = eventRecords
+      .filter(({event}) => event.type === 'WebLedgerOperationEvent')
+      .map(({meta}) => meta.eventHash);
+    if(eventHashes.length === 0) {
+      return 0;
+    }
+    const operationRecords = await this.eventStorage.operationStorage
+      .collection.find({
+        'meta.eventHash': {$in: eventHashes},
+        'meta.deleted': {$exists: false}
+      }, {projection: {_id: 0, operation: 1, 'meta.eventHash': 1}})
+      .sort({'meta.eventOrder': 1})
+      .toArray();
+    const operations = _.groupBy(operationRecords, 'meta.eventHash');
+    for(const {event, meta} of eventRecords) {
+      if(event.type === 'WebLedgerOperationEvent') {
+        event.operation = (operations[meta.eventHash] || [])
+          .map(({operation}) => operation);
+      }
+    }
+    return _calculateSize(operationRecords);
+  }
+
+  // sets `block.event` on each of the given block records to its events in
+  // block order; the events of a consensus block are the consensus events at
+  // its height, the events of a non-consensus block are those recorded when
+  // it was added
+  async _addEventsToBlocks({records, includeOperations}) {
+    const $or = [];
+    const consensusHeights = [];
+    const recordedHashes = [];
+    for(const record of records) {
+      if(record.meta.consensus) {
+        consensusHeights.push(record.block.blockHeight);
+      } else if(record.eventHash) {
+        recordedHashes.push(...record.eventHash);
+      } else {
+        // blocks added before their event hashes were recorded
+        $or.push({
+          'meta.blockHeight': record.block.blockHeight,
+          'meta.consensus': {$ne: true}
+        });
+      }
+    }
+    if(consensusHeights.length > 0) {
+      $or.push({
+        'meta.blockHeight': {$in: consensusHeights},
+        'meta.consensus': true
+      });
+    }
+    if(recordedHashes.length > 0) {
+      $or.push({'meta.eventHash': {$in: recordedHashes}});
+    }
+    const eventRecords = await this.eventCollection.find(
+      {$or, 'meta.deleted': {$exists: false}},
+      {projection: {_id: 0, event: 1, meta: 1}})
+      .sort({'meta.blockHeight': 1, 'meta.blockOrder': 1})
+      .toArray();
+    if(includeOperations) {
+      await this._addOperationsToEvents(eventRecords);
+    }
+
+    const byHash = new Map();
+    const byHeight = new Map();
+    for(const {event, meta} of eventRecords) {
+      byHash.set(meta.eventHash, event);
+      const key = `${meta.blockHeight}/${meta.consensus === true}`;
+      if(!byHeight.has(key)) {
+        byHeight.set(key, []);
+      }
+      byHeight.get(key).push(event);
+    }
+    for(const record of records) {
+      const {block, meta: {consensus}} = record;
+      if(!consensus && record.eventHash) {
+        block.event = record.eventHash
+          .filter(eventHash => byHash.has(eventHash))
+          .map(eventHash => byHash.get(eventHash));
+      } else {
+        const key = `${block.blockHeight}/${consensus === true}`;
+        block.event = (byHeight.get(key) || []).slice();
+      }
+    }
+  }
+
+  // sets `block.event` on a block record to its events in block order; as
+  // in `_addEventsToBlocks`, the events of a consensus block are the
+  // consensus events at its height, the events of a non-consensus block are
+  // those recorded when it was added
+  async _expandEvents({block, eventHash, meta: {consensus}}) {
     block.event = [];
-    const {blockHeight} = block;
+    let cursor;
+    if(!consensus && eventHash) {
+      cursor = this.eventStorage.getMany({eventHashes: eventHash});
+    } else {
+      cursor = this.eventStorage.getMany(
+        {blockHeight: block.blockHeight, consensus: consensus === true});
+    }
     // TODO: update driver to get `promise` from `.forEach`
-    const cursor = this.eventStorage.getMany({blockHeight});
     const fn = promisify(cursor.forEach.bind(cursor));
     await fn(({event}) => block.event.push(event));
   }
 }
 
+function _encodeContinuationToken({blockHeight, blockHash}) {
+  return Buffer.from(JSON.stringify({blockHeight, blockHash}))
+    .toString('base64');
+}
+
+function _decodeContinuationToken(continuationToken) {
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(continuationToken, 'base64').toString());
+  } catch(e) {
+    // handled below
+  }
+  if(!(token && Number.isInteger(token.blockHeight) &&
+    typeof token.blockHash === 'string')) {
+    throw new BedrockError(
+      'Invalid continuation token.', 'DataError',
+      {continuationToken, httpStatusCode: 400, public: true});
+  }
+  return token;
+}
+
+// deletes or marks as deleted the records that match a query, returns the
+// number of records removed
+async function _removeMany({collection, query, hard}) {
+  if(hard) {
+    const {deletedCount} = await collection.deleteMany(
+      query, database.writeOptions);
+    return deletedCount;
+  }
+  const now = Date.now();
+  const {modifiedCount} = await collection.updateMany(
+    {...query, 'meta.deleted': {$exists: false}},
+    {$set: {'meta.updated': now, 'meta.deleted': now}},
+    database.writeOptions);
+  return modifiedCount;
+}
+
+// gets an aggregation expression for the mean and nearest-rank percentiles
+// of a sorted array of values; values that are not numbers are ignored
+function _statsExpression({values, percentiles}) {
+  const numbers = {$filter: {
+    input: values,
+    as: 'value',
+    cond: {$in: [{$type: '$$value'}, ['double', 'int', 'long', 'decimal']]}
+  }};
+  const stats = {mean: {$avg: '$$values'}, percentiles: {}};
+  for(const p of percentiles) {
+    const index = {$max: [0, {$subtract: [
+      {$ceil: {$multiply: [p / 100, {$size: '$$values'}]}}, 1
+    ]}]};
+    stats.percentiles[`p${p}`] = {
+      $ifNull: [{$arrayElemAt: ['$$values', index]}, null]
+    };
+  }
+  return {$let: {vars: {values: numbers}, in: stats}};
+}
+
+function _calculateSize(documents) {
+  return documents.reduce((size, d) => size + BSON.calculateObjectSize(d), 0);
+}
+
 module.exports = LedgerBlockStorage;
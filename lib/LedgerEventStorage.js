@@ -4,6 +4,7 @@
 'use strict';
 
 const _ = require('lodash');
+const _patch = require('./patch');
 const _util = require('./util');
 const assert = require('assert-plus');
 const bedrock = require('bedrock');
@@ -11,6 +12,9 @@ const database = require('bedrock-mongodb');
 const {util: {BedrockError}} = bedrock;
 const logger = require('./logger');
 
+// event meta fields that may not be changed by a JSON Patch
+const PROTECTED_META_FIELDS = ['eventHash', 'updated'];
+
 // this projection stage is used in multiple aggregate queries, it is used
 // to conditionally remove `event.operation` from `event` objects
 const aggregateStageEventProjection = {
@@ -188,7 +192,10 @@ class LedgerEventStorage {
     assert.optionalBool(consensus, 'consensus');
     const hashes = [].concat(eventHash);
     // audit:storage-mongodb/05cb765a-bc0f-4b5d-a1d4-4fe761e57154.md
-    const query = {'meta.eventHash': {$in: hashes}};
+    const query = {
+      'meta.eventHash': {$in: hashes},
+      'meta.deleted': {$exists: false}
+    };
     if(_.isNumber(blockHeight) && _.isUndefined(consensus)) {
       query['meta.blockHeight'] = blockHeight;
     } else if(_.isBoolean(consensus) && _.isUndefined(blockHeight)) {
@@ -213,7 +220,10 @@ class LedgerEventStorage {
   async difference(eventHash) {
     const hashes = [].concat(eventHash);
     // audit:storage-mongodb/38528b46-bc62-4359-a3a3-c5022e5f01b9.md
-    const query = {'meta.eventHash': {$in: hashes}};
+    const query = {
+      'meta.eventHash': {$in: hashes},
+      'meta.deleted': {$exists: false}
+    };
     const projection = {_id: 0, 'meta.eventHash': 1};
     const records = await this.collection.find(query, {projection}).toArray();
     const localEvents = new Set(records.map(r => r.meta.eventHash));
@@ -225,11 +235,13 @@ class LedgerEventStorage {
    * and `eventHashes` parameters are mutually exclusive.
    *
    * @param {integer} [blockHeight] - filter on `meta.blockHeight`.
+   * @param {boolean} [consensus] - with `blockHeight`, `true` to get only
+   *   the consensus events at the height, `false` to get only the others.
    * @param {string[]} [eventHashes] - filter on `meta.eventHash`.
    *
    * @returns {Promise<cursor>} matching events.
    */
-  getMany({blockHeight, eventHashes}) {
+  getMany({blockHeight, consensus, eventHashes}) {
     const operationCollectionName =
       this.operationStorage.collection.collectionName;
     const lookupStage = {
@@ -237,7 +249,10 @@ class LedgerEventStorage {
         from: operationCollectionName,
         let: {eventHash: '$meta.eventHash'},
         pipeline: [
-          {$match: {$expr: {$eq: ['$meta.eventHash', '$$eventHash']}}},
+          {$match: {
+            $expr: {$eq: ['$meta.eventHash', '$$eventHash']},
+            'meta.deleted': {$exists: false}
+          }},
           {$sort: {'meta.eventOrder': 1}},
           {$replaceRoot: {newRoot: '$operation'}}
         ],
@@ -245,8 +260,15 @@ class LedgerEventStorage {
       }
     };
     if(_.isNumber(blockHeight) && !eventHashes) {
+      const query = {
+        'meta.blockHeight': blockHeight,
+        'meta.deleted': {$exists: false}
+      };
+      if(consensus !== undefined) {
+        query['meta.consensus'] = consensus ? true : {$ne: true};
+      }
       return this.collection.aggregate([
-        {$match: {'meta.blockHeight': blockHeight}},
+        {$match: query},
         lookupStage,
         {$sort: {'meta.blockHeight': 1, 'meta.blockOrder': 1}},
         aggregateStageEventProjection
@@ -254,7 +276,10 @@ class LedgerEventStorage {
     }
     if(eventHashes && !_.isNumber(blockHeight)) {
       return this.collection.aggregate([
-        {$match: {'meta.eventHash': {$in: eventHashes}}},
+        {$match: {
+          'meta.eventHash': {$in: eventHashes},
+          'meta.deleted': {$exists: false}
+        }},
         lookupStage,
         // FIXME: This looks like it would be VERY slow
         {$addFields: {
@@ -283,7 +308,8 @@ class LedgerEventStorage {
       'meta.blockHeight': blockHeight,
       // `meta.consensus` must be included to utilize the proper index
       'meta.consensus': true,
-      'event.type': type
+      'event.type': type,
+      'meta.deleted': {$exists: false}
     };
     const projection = {_id: 0, 'meta.consensus': 1};
     const cursor = await this.collection.find(query, {projection})
@@ -306,7 +332,10 @@ class LedgerEventStorage {
   async exists(eventHash) {
     const hashes = [].concat(eventHash);
     // audit:storage-mongodb/e75847d0-da31-4e47-9f57-bac211c12e9c.md
-    const query = {'meta.eventHash': {$in: hashes}};
+    const query = {
+      'meta.eventHash': {$in: hashes},
+      'meta.deleted': {$exists: false}
+    };
     const count = await this.collection.countDocuments(query);
     return count === hashes.length;
   }
@@ -323,7 +352,10 @@ class LedgerEventStorage {
   async get(eventHash) {
     const operationCollectionName =
       this.operationStorage.collection.collectionName;
-    const query = {'meta.eventHash': eventHash};
+    const query = {
+      'meta.eventHash': eventHash,
+      'meta.deleted': {$exists: false}
+    };
     const records = await this.collection.aggregate([
       {$match: query},
       {$limit: 1},
@@ -331,7 +363,10 @@ class LedgerEventStorage {
         from: operationCollectionName,
         let: {eventHash: '$meta.eventHash'},
         pipeline: [
-          {$match: {$expr: {$eq: ['$meta.eventHash', '$$eventHash']}}},
+          {$match: {
+            $expr: {$eq: ['$meta.eventHash', '$$eventHash']},
+            'meta.deleted': {$exists: false}
+          }},
           {$sort: {'meta.eventOrder': 1}},
           {$replaceRoot: {newRoot: '$operation'}}
         ],
@@ -372,6 +407,7 @@ class LedgerEventStorage {
       // the block specified by blockHeight
       'meta.blockHeight': {$lt: blockHeight},
       'meta.effectiveConfiguration': true,
+      'meta.deleted': {$exists: false}
     };
     const projection = {_id: 0};
     const cursor = await this.collection.find(query, {projection})
@@ -401,7 +437,7 @@ class LedgerEventStorage {
   // consensus === undefined means ignore consensus
   async getCount({consensus, type} = {}) {
     // audit:storage-mongodb/be42c50e-2399-4ded-a45a-5e8425a53b60.md
-    const query = {};
+    const query = {'meta.deleted': {$exists: false}};
     if(typeof consensus === 'boolean') {
       query['meta.consensus'] = consensus;
     }
@@ -421,7 +457,10 @@ class LedgerEventStorage {
    *   meta - metadata about the event.
    */
   async getLatestConfig({explain = false} = {}) {
-    const query = {'meta.effectiveConfiguration': true};
+    const query = {
+      'meta.effectiveConfiguration': true,
+      'meta.deleted': {$exists: false}
+    };
     const projection = {_id: 0};
     const cursor = await this.collection.find(query, {projection})
       .sort({'meta.blockHeight': -1})
@@ -443,14 +482,37 @@ class LedgerEventStorage {
    * Update an existing event associated with the ledger given an
    * eventId, an array of patch instructions, and a set of options.
    *
+   * The patch may be a JSON Patch (RFC 6902) that changes paths under
+   * `/meta` (other than `/meta/eventHash` and `/meta/updated`); its `test`
+   * operations are preconditions for the update. The legacy format, an
+   * array of `{op: 'set'|'unset'|'add'|'remove', changes: {meta}}`, is also
+   * supported.
+   *
    * @param eventHash - the ID of the event to update
    * @param patch - a list of patch commands for the event
    */
   async update({eventHash, patch}) {
+    if(_patch.isJsonPatch({patch, type: 'event'})) {
+      _patch.validate(
+        {patch, type: 'event', protectedFields: PROTECTED_META_FIELDS});
+      const meta = await _patch.updateMeta({
+        collection: this.collection,
+        filter: {'meta.eventHash': eventHash, 'meta.deleted': {$exists: false}},
+        patch, type: 'event'
+      });
+      if(!meta) {
+        throw new BedrockError(
+          'Could not update event. Event with given hash not found.',
+          'NotFoundError', {eventHash});
+      }
+      return;
+    }
+
     const {update} = _createUpdatePatch({patch});
 
     const result = await this.collection.updateOne(
-      {'meta.eventHash': eventHash}, update, database.writeOptions);
+      {'meta.eventHash': eventHash, 'meta.deleted': {$exists: false}}, update,
+      database.writeOptions);
     if(result.result.n === 0) {
       throw new BedrockError(
         'Could not update event. Event with given hash not found.',
@@ -459,22 +521,36 @@ class LedgerEventStorage {
   }
 
   /**
-   * Update an existing event associated with the ledger given an
-   * eventId, an array of patch instructions, and a set of options.
+   * Update existing events associated with the ledger given an array of
+   * event hashes and patch instructions.
    *
-   * @param eventHash - the ID of the event to update
-   * @param patch - a list of patch commands for the event
+   * @param events - an array of `{eventHash, patch}` to apply, each patch
+   *   may be in either of the formats supported by `update`.
+   * @param [session] - a MongoDB client session with a transaction in
+   *   progress to perform the writes in.
    */
-  async updateMany({events}) {
-    const eventUpdates = events.map(({eventHash, patch}) => {
+  async updateMany({events, session}) {
+    // validate all patches before anything is written
+    const jsonPatches = [];
+    const eventUpdates = [];
+    for(const {eventHash, patch} of events) {
+      if(_patch.isJsonPatch({patch, type: 'event'})) {
+        _patch.validate(
+          {patch, type: 'event', protectedFields: PROTECTED_META_FIELDS});
+        jsonPatches.push({eventHash, patch});
+        continue;
+      }
       const {update} = _createUpdatePatch({patch});
-      return {
+      eventUpdates.push({
         updateOne: {
-          filter: {'meta.eventHash': eventHash},
+          filter: {
+            'meta.eventHash': eventHash,
+            'meta.deleted': {$exists: false}
+          },
           update
         }
-      };
-    });
+      });
+    }
 
     const errors = [];
     const writeErrors = [];
@@ -483,10 +559,11 @@ class LedgerEventStorage {
     const chunks = _util.chunkDocuments(eventUpdates);
     for(const chunk of chunks) {
       try {
-        await this.collection.bulkWrite(chunk, {ordered: false});
+        await this.collection.bulkWrite(chunk, {ordered: false, session});
       } catch(e) {
         if(!e.result) {
           errors.push(e);
+          continue;
         }
         const {result} = e.result;
         if(result.writeErrors.length > 0) {
@@ -498,6 +575,22 @@ class LedgerEventStorage {
       }
     }
 
+    // JSON Patches are applied to each event's current meta
+    for(const {eventHash, patch} of jsonPatches) {
+      try {
+        await _patch.updateMeta({
+          collection: this.collection,
+          filter: {
+            'meta.eventHash': eventHash,
+            'meta.deleted': {$exists: false}
+          },
+          patch, type: 'event', session
+        });
+      } catch(e) {
+        errors.push(e);
+      }
+    }
+
     const hasError = errors.length > 0 || writeErrors.length > 0 ||
       writeConcernErrors.length > 0;
     if(hasError) {
@@ -508,25 +601,42 @@ class LedgerEventStorage {
   }
 
   /**
-   * Delete an event associated with the ledger given an event hash.
+   * Delete an event associated with the ledger given an event hash. By
+   * default, the event is marked as deleted (`meta.deleted`), the rest of its
+   * meta is kept.
    *
    * @param eventHash - the hash of the event to delete.
+   * @param [options] - the options to use.
+   * @param [options.hard=false] `true` to delete the event from storage
+   *   rather than mark it as deleted; an event that is already marked as
+   *   deleted may be hard deleted.
    */
-  async remove(eventHash) {
-    // find and delete the existing event
+  async remove(eventHash, {hard = false} = {}) {
+    assert.bool(hard, 'hard');
+    if(hard) {
+      const result = await this.collection.deleteOne(
+        {'meta.eventHash': eventHash}, database.writeOptions);
+      if(result.deletedCount !== 1) {
+        throw new BedrockError(
+          'Remove event failed; event not found.',
+          'NotFoundError', {eventHash});
+      }
+      return;
+    }
+    // find and mark the existing event as deleted
     const filter = {
-      'meta.eventHash': eventHash
+      'meta.eventHash': eventHash,
+      'meta.deleted': {$exists: false}
     };
     const now = Date.now();
     const update = {
       $set: {
-        meta: {
-          updated: now,
-          deleted: now
-        }
+        'meta.updated': now,
+        'meta.deleted': now
       }
     };
-    const result = await this.collection.updateOne(filter, update);
+    const result = await this.collection.updateOne(
+      filter, update, database.writeOptions);
     if(result.matchedCount !== 1) {
       throw new BedrockError(
         'Remove event failed; event not found.',
@@ -576,6 +686,10 @@ function _createUpdatePatch({patch}) {
       } else {
         pullFields[field] = [arrayUpdate[field]];
       }
+    } else {
+      throw new BedrockError(
+        'Invalid event patch; unknown operation.',
+        'DataError', {operation});
     }
   }
 
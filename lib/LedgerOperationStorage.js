@@ -65,7 +65,10 @@ class LedgerOperationStorage {
   async exists({eventHash, recordId, explain = false, operationHash} = {}) {
     if(recordId) {
       assert.string(recordId, 'recordId');
-      const query = {recordId: database.hash(recordId)};
+      const query = {
+        recordId: database.hash(recordId),
+        'meta.deleted': {$exists: false}
+      };
       const options = {limit: 1, projection: {_id: 0, recordId: 1}};
       if(explain) {
         return this.collection.find(query, options)
@@ -80,7 +83,10 @@ class LedgerOperationStorage {
     const totalHashes = hashes.length;
     hashes = _.uniq(hashes);
     // audit:storage-mongodb/e5f13a2c-0154-4e27-b903-3d612100c69b.md
-    const query = {'meta.operationHash': {$in: hashes}};
+    const query = {
+      'meta.operationHash': {$in: hashes},
+      'meta.deleted': {$exists: false}
+    };
     if(eventHash) {
       query['meta.eventHash'] = eventHash;
     }
@@ -103,7 +109,10 @@ class LedgerOperationStorage {
       throw new TypeError('maxBlockHeight must be an integer >= 0.');
     }
 
-    const query = {recordId: database.hash(recordId)};
+    const query = {
+      recordId: database.hash(recordId),
+      'meta.deleted': {$exists: false}
+    };
 
     const eventMatch = {'meta.eventMeta.consensus': true};
     if(maxBlockHeight) {
@@ -117,7 +126,10 @@ class LedgerOperationStorage {
         from: this.eventCollectionName,
         let: {eventHash: '$meta.eventHash'},
         pipeline: [
-          {$match: {$expr: {$eq: ['$meta.eventHash', '$$eventHash']}}},
+          {$match: {
+            $expr: {$eq: ['$meta.eventHash', '$$eventHash']},
+            'meta.deleted': {$exists: false}
+          }},
           {$project: {
             _id: 0,
             'meta.consensus': 1,
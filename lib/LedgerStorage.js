@@ -6,10 +6,21 @@
  */
 'use strict';
 
+const _archive = require('./archive');
+const _patch = require('./patch');
+const _util = require('./util');
+const _watch = require('./watch');
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
 const database = require('bedrock-mongodb');
 const LedgerBlockStorage = require('./LedgerBlockStorage');
 const LedgerEventStorage = require('./LedgerEventStorage');
 const LedgerOperationStorage = require('./LedgerOperationStorage');
+const logger = require('./logger');
+const {config, util: {uuid, BedrockError}} = bedrock;
+
+// the number of events deleted at a time when truncating
+const TRUNCATE_BATCH_SIZE = 1000;
 
 module.exports = class LedgerStorage {
   constructor(options) {
@@ -22,4 +33,358 @@ module.exports = class LedgerStorage {
     options.blockStorage = this.blocks;
     this.driver = database;
   }
+
+  /**
+   * Atomically commits a block: the events in the block are updated (e.g.
+   * with their consensus `blockHeight` and `blockOrder`) and the block is
+   * added, or nothing is written at all.
+   *
+   * When MongoDB is deployed as a replica set or sharded cluster, the writes
+   * are performed in a transaction. On a standalone server, the commit is
+   * first recorded in a journal so that, should the process exit part way
+   * through, the commit is rolled forward by `rollForwardCommits` (which
+   * runs automatically when bedrock is ready and then periodically). The
+   * journal entry is claimed by this process for
+   * `config['ledger-storage-mongodb'].commit.claimTtl`.
+   * Should the commit fail, the events are restored to their original meta.
+   *
+   * @param block - the block to commit.
+   * @param meta - the metadata associated with the block.
+   * @param [eventUpdates=[]] - an array of `{eventHash, patch}` to apply to
+   *   the events in the block, see `events.updateMany`; patches must be in
+   *   the legacy format because JSON Patch can not be safely repeated when
+   *   an interrupted commit is rolled forward.
+   * @param [emit=true] - `true` to emit `bedrock-ledger-storage.block.add`
+   *   once the block has been committed.
+   *
+   * @return a Promise that resolves to an object with:
+   *   block - the block that was committed to storage.
+   *   meta - the metadata that was committed to storage.
+   */
+  async commitBlock({block, meta, eventUpdates = [], emit = true}) {
+    assert.object(block, 'block');
+    assert.object(meta, 'meta');
+    assert.arrayOfObject(eventUpdates, 'eventUpdates');
+    assert.bool(emit, 'emit');
+    for(const {eventHash, patch} of eventUpdates) {
+      if(_patch.isJsonPatch({patch, type: 'event'})) {
+        throw new BedrockError(
+          'JSON Patch is not supported in block commit event updates.',
+          'DataError', {eventHash});
+      }
+    }
+
+    let result;
+    if(await _util.supportsTransactions()) {
+      result = await this._commitBlockInTransaction(
+        {block, meta, eventUpdates});
+    } else {
+      // record the original meta of the events so that it can be restored
+      // should the commit fail
+      const originals = await this.events.collection.find({
+        'meta.eventHash': {$in: eventUpdates.map(({eventHash}) => eventHash)}
+      }, {projection: {_id: 0, meta: 1}}).toArray();
+      const journalId = uuid();
+      const owner = uuid();
+      const {claimTtl} = config['ledger-storage-mongodb'].commit;
+      await database.collections.ledgerBlockJournal.insertOne({
+        id: journalId,
+        storageId: this.id,
+        blockHash: meta.blockHash,
+        block,
+        meta,
+        eventUpdates,
+        claim: {owner, expires: Date.now() + claimTtl},
+        created: Date.now()
+      }, database.writeOptions);
+      try {
+        result = await this._applyJournaledCommit(
+          {journalId, owner, block, meta, eventUpdates});
+      } catch(e) {
+        // the commit cannot be completed; unless another process has taken
+        // over the commit to roll it forward, discard its journal entry and
+        // revert the event updates
+        const {deletedCount} = await database.collections.ledgerBlockJournal
+          .deleteOne({id: journalId, 'claim.owner': owner},
+            database.writeOptions);
+        if(deletedCount === 1) {
+          await this._restoreEventMeta(originals);
+        }
+        throw e;
+      }
+    }
+
+    if(emit) {
+      await bedrock.events.emit('bedrock-ledger-storage.block.add', {
+        blockHeight: block.blockHeight,
+        ledgerNodeId: this.blocks.ledgerNodeId
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Rolls the ledger back to a block height. All consensus blocks above the
+   * height are removed and their events are returned to a non-consensus
+   * state (their `blockHeight`, `blockOrder`, `consensus`, `consensusDate`
+   * and `effectiveConfiguration` meta are cleared) or, optionally, deleted
+   * along with their operations. A chain checkpoint above the height is
+   * cleared. Once complete, a `bedrock-ledger-storage.ledger.truncate` event
+   * is emitted.
+   *
+   * A truncation that is interrupted may safely be run again.
+   *
+   * @param blockHeight - the height of the last block to keep.
+   * @param [deleteEvents=false] - `true` to delete the events in the removed
+   *   blocks and their operations.
+   *
+   * @return a Promise that resolves to an object with:
+   *   blockCount - the number of blocks removed.
+   *   eventCount - the number of events updated or deleted.
+   *   operationCount - the number of operations deleted.
+   */
+  async truncate({blockHeight, deleteEvents = false} = {}) {
+    assert.number(blockHeight, 'blockHeight');
+    assert.bool(deleteEvents, 'deleteEvents');
+    if(!(Number.isInteger(blockHeight) && blockHeight >= 0)) {
+      throw new TypeError('"blockHeight" must be a non-negative integer.');
+    }
+
+    let previousBlockHeight = null;
+    try {
+      previousBlockHeight = await this.blocks.getLatestBlockHeight();
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+    logger.debug('truncating storage', {
+      blockHeight, previousBlockHeight, storageId: this.id
+    });
+
+    // remove blocks first so an interrupted truncation leaves no block that
+    // refers to events that are no longer in consensus
+    const {deletedCount: blockCount} = await this.blocks.collection
+      .deleteMany({
+        'block.blockHeight': {$gt: blockHeight},
+        'meta.consensus': true
+      }, database.writeOptions);
+
+    const query = {
+      'meta.blockHeight': {$gt: blockHeight},
+      'meta.consensus': true
+    };
+    let eventCount = 0;
+    let operationCount = 0;
+    if(deleteEvents) {
+      const cursor = this.events.collection.find(
+        query, {projection: {_id: 0, 'meta.eventHash': 1}});
+      let eventHashes = [];
+      const deleteBatch = async () => {
+        const filter = {'meta.eventHash': {$in: eventHashes}};
+        // delete operations first so none are left without their event
+        const operations = await this.operations.collection.deleteMany(
+          filter, database.writeOptions);
+        operationCount += operations.deletedCount;
+        const events = await this.events.collection.deleteMany(
+          filter, database.writeOptions);
+        eventCount += events.deletedCount;
+        eventHashes = [];
+      };
+      try {
+        let record;
+        while((record = await cursor.next())) {
+          eventHashes.push(record.meta.eventHash);
+          if(eventHashes.length >= TRUNCATE_BATCH_SIZE) {
+            await deleteBatch();
+          }
+        }
+      } finally {
+        await cursor.close();
+      }
+      if(eventHashes.length > 0) {
+        await deleteBatch();
+      }
+    } else {
+      ({modifiedCount: eventCount} = await this.events.collection.updateMany(
+        query, {
+          $set: {'meta.updated': Date.now()},
+          $unset: {
+            'meta.blockHeight': '',
+            'meta.blockOrder': '',
+            'meta.consensus': '',
+            'meta.consensusDate': '',
+            'meta.effectiveConfiguration': ''
+          }
+        }, database.writeOptions));
+    }
+
+    await this.blocks._clearChainCheckpoint({blockHeight});
+
+    await bedrock.events.emit('bedrock-ledger-storage.ledger.truncate', {
+      blockCount,
+      blockHeight,
+      deleteEvents,
+      eventCount,
+      ledgerNodeId: this.blocks.ledgerNodeId,
+      operationCount,
+      previousBlockHeight,
+      storageId: this.id
+    });
+    return {blockCount, eventCount, operationCount};
+  }
+
+  /**
+   * Watches the ledger for changes to its blocks, events and operations.
+   * Changes are reported as they occur after the watch begins (or after the
+   * change with the given resume token). Each notification has:
+   *
+   *   type - 'block', 'event' or 'operation'.
+   *   operationType - 'insert', 'update', 'replace' or 'delete'.
+   *   record - the record after the change (`{block, meta}`,
+   *     `{event, meta}` or `{operation, meta, recordId}`) or `null` if it
+   *     was deleted.
+   *   resumeToken - a token that may be persisted and passed to `watch` to
+   *     resume watching after this change, e.g. after a restart.
+   *
+   * MongoDB change streams are used on replica sets and sharded clusters.
+   * On standalone servers the collections are tail-polled instead and only
+   * inserts are reported. Inserts are found by their MongoDB `_id`; those
+   * that are inserted late (after a document with a later `_id`, e.g. by
+   * another process) are found by re-scanning an overlap window (see
+   * `config['ledger-storage-mongodb'].watch.overlapWindow`). The iterator
+   * also has a `resumeToken` property with the token of the last
+   * notification produced.
+   *
+   * @param [types=['block', 'event', 'operation']] - the types of records to
+   *   watch.
+   * @param [resumeToken] - a token from a previous notification to resume
+   *   watching after.
+   * @param [pollInterval] - the time (ms) between polls when tail-polling,
+   *   defaults to `config['ledger-storage-mongodb'].watch.pollInterval`.
+   *
+   * @return a Promise that resolves to an async iterator of notifications.
+   */
+  async watch({types, resumeToken, pollInterval} = {}) {
+    return _watch.createWatchIterator(
+      {ledgerStorage: this, types, resumeToken, pollInterval});
+  }
+
+  /**
+   * Exports the consensus blocks of the ledger, with their events and
+   * operations, as a versioned NDJSON archive that may be imported with the
+   * `import` API. The archive begins with the ledger storage metadata.
+   *
+   * @param [fromBlockHeight=0] - the first block height to export.
+   * @param [toBlockHeight] - the last block height to export (defaults to
+   *   the latest block height).
+   *
+   * @return a Readable stream of NDJSON lines.
+   */
+  export({fromBlockHeight = 0, toBlockHeight} = {}) {
+    return _archive.createExportStream(
+      {ledgerStorage: this, fromBlockHeight, toBlockHeight});
+  }
+
+  /**
+   * Gets statistics about the size and contents of the ledger storage.
+   *
+   * @return a Promise that resolves to an object with:
+   *   id - the ID of the ledger storage.
+   *   latestBlockHeight - the height of the latest consensus block or `null`
+   *     if there are no blocks.
+   *   blocks - collection stats: `count`, `size`, `storageSize`,
+   *     `totalIndexSize` and `indexSizes` (index name => bytes).
+   *   events - collection stats plus `consensus` and `nonConsensus` counts.
+   *   operations - collection stats plus `byType` (operation type => count).
+   */
+  async getStats() {
+    let latestBlockHeight = null;
+    try {
+      latestBlockHeight = await this.blocks.getLatestBlockHeight();
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+
+    const blocks = await _getCollectionStats(this.blocks.collection);
+
+    const events = await _getCollectionStats(this.events.collection);
+    events.consensus = await this.events.collection.countDocuments(
+      {'meta.consensus': true});
+    events.nonConsensus = events.count - events.consensus;
+
+    const operations = await _getCollectionStats(this.operations.collection);
+    const types = await this.operations.collection.aggregate([
+      {$group: {_id: '$operation.type', count: {$sum: 1}}}
+    ], {allowDiskUse: true}).toArray();
+    operations.byType = {};
+    for(const {_id: type, count} of types) {
+      operations.byType[type] = count;
+    }
+
+    return {id: this.id, latestBlockHeight, blocks, events, operations};
+  }
+
+  async _commitBlockInTransaction({block, meta, eventUpdates}) {
+    const session = database.client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        if(eventUpdates.length > 0) {
+          await this.events.updateMany({events: eventUpdates, session});
+        }
+        result = await this.blocks.add({block, emit: false, meta, session});
+      }, {writeConcern: {w: 'majority', j: true}});
+      return result;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // applies the steps of a journaled commit, every step may safely be
+  // repeated so that an interrupted commit can be rolled forward
+  async _applyJournaledCommit({
+    journalId, owner, block, meta, eventUpdates, rollForward = false
+  }) {
+    if(eventUpdates.length > 0) {
+      await this.events.updateMany({events: eventUpdates});
+    }
+    let result;
+    try {
+      result = await this.blocks.add({block, emit: false, meta});
+    } catch(e) {
+      if(!(rollForward && e.name === 'DuplicateError')) {
+        throw e;
+      }
+      // the block was added before the commit was interrupted
+      logger.debug(
+        'journaled block already added', {blockHash: meta.blockHash});
+      result = {block, meta};
+    }
+    await database.collections.ledgerBlockJournal.deleteOne(
+      {id: journalId, 'claim.owner': owner}, database.writeOptions);
+    return result;
+  }
+
+  // restores the meta of events as it was before a failed commit
+  async _restoreEventMeta(originals) {
+    const updates = originals.map(({meta}) => ({
+      updateOne: {
+        filter: {'meta.eventHash': meta.eventHash},
+        update: {$set: {meta}}
+      }
+    }));
+    for(const chunk of _util.chunkDocuments(updates)) {
+      await this.events.collection.bulkWrite(
+        chunk, {ordered: false, ...database.writeOptions});
+    }
+  }
 };
+
+async function _getCollectionStats(collection) {
+  const {count, size, storageSize, totalIndexSize, indexSizes} =
+    await collection.stats();
+  return {count, size, storageSize, totalIndexSize, indexSizes};
+}
@@ -0,0 +1,243 @@
+/*!
+ * Ledger storage archives.
+ *
+ * An archive is a stream of newline delimited JSON (NDJSON). The first line
+ * is a header that describes the archive and the ledger storage it was
+ * exported from, it is followed by the consensus blocks of the ledger in
+ * block height order. Each block is followed by its events (in block order)
+ * and each block's events are followed by their operations:
+ *
+ *   {"type": "header", "format": ..., "version": 1, "storage": {...}, ...}
+ *   {"type": "block", "block": {...}, "meta": {...}}
+ *   {"type": "event", "event": {...}, "meta": {...}}
+ *   {"type": "operation", "operation": {...}, "meta": {...}, "recordId": ...}
+ *
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const readline = require('readline');
+const {Readable} = require('stream');
+const {util: {BedrockError}} = bedrock;
+
+const FORMAT = 'bedrock-ledger-storage-archive';
+const VERSION = 1;
+
+/**
+ * Creates a readable NDJSON archive stream for the consensus blocks of a
+ * ledger storage (and their events and operations) in a range of block
+ * heights.
+ *
+ * @param ledgerStorage - the LedgerStorage to export.
+ * @param [fromBlockHeight=0] - the first block height to export.
+ * @param [toBlockHeight] - the last block height to export (defaults to the
+ *   latest block height).
+ *
+ * @return a Readable stream of archive lines.
+ */
+exports.createExportStream = ({
+  ledgerStorage, fromBlockHeight = 0, toBlockHeight
+}) => {
+  assert.number(fromBlockHeight, 'fromBlockHeight');
+  assert.optionalNumber(toBlockHeight, 'toBlockHeight');
+  return Readable.from(
+    _export({ledgerStorage, fromBlockHeight, toBlockHeight}));
+};
+
+/**
+ * Replays an archive stream into a ledger storage. The header is read first
+ * and passed to `createStorage` which must resolve to the LedgerStorage to
+ * replay the archive into. Block linkage (heights and `previousBlockHash`)
+ * is checked as each block is replayed.
+ *
+ * @param stream - a Readable stream of archive lines.
+ * @param createStorage - a function that is given the archive header and
+ *   resolves to a LedgerStorage.
+ *
+ * @return a Promise that resolves to an object with:
+ *   ledgerStorage - the LedgerStorage the archive was replayed into.
+ *   blockCount - the number of blocks replayed.
+ */
+exports.importArchive = async ({stream, createStorage}) => {
+  const lines = readline.createInterface(
+    {input: stream, crlfDelay: Infinity});
+  let ledgerStorage;
+  let group;
+  let previous;
+  let blockCount = 0;
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if(line.trim() === '') {
+        continue;
+      }
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch(e) {
+        throw _dataError('Invalid JSON in archive.', {lineNumber}, e);
+      }
+      if(!ledgerStorage) {
+        _validateHeader({header: item});
+        ledgerStorage = await createStorage(item);
+        continue;
+      }
+      if(item.type === 'block') {
+        if(group) {
+          await _replayBlock({ledgerStorage, group, previous});
+          previous = group.block;
+          blockCount++;
+        }
+        group = {block: item, events: [], operations: []};
+        continue;
+      }
+      if(!group) {
+        throw _dataError(
+          'Archive item does not follow a block.', {lineNumber});
+      }
+      if(item.type === 'event') {
+        if(!(item.meta &&
+          item.meta.blockHeight === group.block.block.blockHeight)) {
+          throw _dataError(
+            'Archive event does not belong to the preceding block.',
+            {lineNumber});
+        }
+        group.events.push({event: item.event, meta: item.meta});
+      } else if(item.type === 'operation') {
+        const {meta, operation, recordId} = item;
+        group.operations.push({meta, operation, recordId});
+      } else {
+        throw _dataError(
+          'Unknown archive item type.', {lineNumber, type: item.type});
+      }
+    }
+    if(!ledgerStorage) {
+      throw _dataError('The archive is empty.');
+    }
+    if(group) {
+      await _replayBlock({ledgerStorage, group, previous});
+      blockCount++;
+    }
+  } finally {
+    lines.close();
+  }
+  return {ledgerStorage, blockCount};
+};
+
+async function* _export({ledgerStorage, fromBlockHeight, toBlockHeight}) {
+  const record = await database.collections.ledger.findOne(
+    {id: ledgerStorage.id}, {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'A ledger with the given storage ID does not exist.',
+      'NotFoundError', {storageId: ledgerStorage.id});
+  }
+  const {ledger, meta} = record;
+  yield _line({
+    type: 'header',
+    format: FORMAT,
+    version: VERSION,
+    storage: {
+      id: ledger.id,
+      ledgerNodeId: ledger.ledgerNode,
+      plugins: ledger.plugins,
+      meta
+    },
+    fromBlockHeight,
+    toBlockHeight: toBlockHeight === undefined ? null : toBlockHeight,
+    created: Date.now()
+  });
+
+  const blockHeight = {$gte: fromBlockHeight};
+  if(toBlockHeight !== undefined) {
+    blockHeight.$lte = toBlockHeight;
+  }
+  const projection = {_id: 0};
+  const blocks = ledgerStorage.blocks.collection.find(
+    {'block.blockHeight': blockHeight, 'meta.consensus': true}, {projection})
+    .sort({'block.blockHeight': 1});
+  try {
+    let blockRecord;
+    while((blockRecord = await blocks.next())) {
+      yield* _exportBlock({ledgerStorage, ...blockRecord});
+    }
+  } finally {
+    await blocks.close();
+  }
+}
+
+async function* _exportBlock({ledgerStorage, block, meta}) {
+  const projection = {_id: 0};
+  const events = await ledgerStorage.events.collection.find({
+    'meta.blockHeight': block.blockHeight,
+    'meta.consensus': true
+  }, {projection}).sort({'meta.blockOrder': 1}).toArray();
+  const eventHashes = events.map(({meta}) => meta.eventHash);
+  yield _line({type: 'block', block: {...block, event: eventHashes}, meta});
+  for(const {event, meta} of events) {
+    yield _line({type: 'event', event, meta});
+  }
+  const operations = await ledgerStorage.operations.collection.find(
+    {'meta.eventHash': {$in: eventHashes}}, {projection})
+    .sort({'meta.eventOrder': 1}).toArray();
+  // keep operations in the order of their events
+  const eventOrder = new Map(eventHashes.map((h, i) => [h, i]));
+  operations.sort((a, b) =>
+    eventOrder.get(a.meta.eventHash) - eventOrder.get(b.meta.eventHash));
+  for(const {meta, operation, recordId} of operations) {
+    yield _line({type: 'operation', operation, meta, recordId});
+  }
+}
+
+async function _replayBlock({ledgerStorage, group, previous}) {
+  const {block: {block, meta}, events, operations} = group;
+  const {blockHeight} = block;
+  if(previous) {
+    if(blockHeight !== previous.block.blockHeight + 1) {
+      throw _dataError(
+        'Archive block heights are not contiguous.',
+        {blockHeight, previousBlockHeight: previous.block.blockHeight});
+    }
+    if(block.previousBlockHash !== previous.meta.blockHash) {
+      throw _dataError(
+        'Archive block does not link to the previous block.',
+        {blockHeight, previousBlockHash: block.previousBlockHash});
+    }
+  }
+  logger.debug('importing block', {blockHeight});
+  if(operations.length > 0) {
+    await ledgerStorage.operations.addMany({operations});
+  }
+  if(events.length > 0) {
+    await ledgerStorage.events.addMany({events});
+  }
+  await ledgerStorage.blocks.add({block, emit: false, meta});
+}
+
+function _validateHeader({header}) {
+  if(!(header && header.type === 'header' && header.format === FORMAT)) {
+    throw _dataError('The archive header is missing or invalid.');
+  }
+  if(header.version !== VERSION) {
+    throw _dataError(
+      'The archive version is not supported.', {version: header.version});
+  }
+  if(!(header.storage && Array.isArray(header.storage.plugins))) {
+    throw _dataError('The archive header is missing storage information.');
+  }
+}
+
+function _line(item) {
+  return JSON.stringify(item) + '\n';
+}
+
+function _dataError(message, details = {}, cause) {
+  return new BedrockError(
+    message, 'DataError', {httpStatusCode: 400, public: true, ...details},
+    cause);
+}
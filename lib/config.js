@@ -1,4 +1,81 @@
 /*!
  * Copyright (c) 2016-2020 Digital Bazaar, Inc. All rights reserved.
  */
-// const config = require('bedrock').config;
+'use strict';
+
+const {config} = require('bedrock');
+
+const cfg = config['ledger-storage-mongodb'] = {};
+
+cfg.purge = {
+  // when enabled, ledger storages that have been deleted for longer than
+  // `gracePeriod` are periodically purged (their collections are dropped)
+  enabled: false,
+  // time (ms) a ledger storage must have been deleted before it may be
+  // purged; default is 7 days
+  gracePeriod: 7 * 24 * 60 * 60 * 1000,
+  // time (ms) between sweeps for deleted ledger storages; default is 1 hour
+  interval: 60 * 60 * 1000
+};
+
+cfg.migration = {
+  // when enabled, ledger storages with an outdated schema version are
+  // migrated when they are retrieved
+  migrateOnGet: true,
+  // time (ms) a process may hold the migration lock for a ledger storage
+  // without making progress before another process may take it over; this
+  // is also the maximum time to wait for another process's migration
+  lockTtl: 5 * 60 * 1000,
+  // time (ms) between checks on a migration that another process is running
+  pollInterval: 1000
+};
+
+cfg.commit = {
+  // time (ms) a process may hold a journaled block commit on a standalone
+  // server before another process may roll the commit forward
+  claimTtl: 5 * 60 * 1000,
+  // time (ms) between sweeps for journaled block commits whose claim has
+  // expired; a commit interrupted by a process exit is rolled forward by the
+  // first sweep after its claim expires
+  interval: 60 * 1000
+};
+
+cfg.blocks = {
+  range: {
+    // maximum number of blocks read per batch by `blocks.getRange`
+    batchSize: 100,
+    // approximate memory budget (bytes) for a batch of blocks, events and
+    // operations read by `blocks.getRange`; batches shrink to stay within it
+    maxBatchBytes: 16 * 1024 * 1024
+  },
+  pending: {
+    // time (ms) after which a pending (non-consensus) block may be garbage
+    // collected; default is 1 day
+    maxAge: 24 * 60 * 60 * 1000,
+    // when enabled, pending blocks older than `maxAge` are periodically
+    // removed from all ledger storages
+    gcEnabled: false,
+    // time (ms) between garbage collection sweeps; default is 1 hour
+    gcInterval: 60 * 60 * 1000
+  },
+  analytics: {
+    // number of block heights per bucket reported by `blocks.getAnalytics`
+    bucket: 100,
+    // percentiles of block intervals and consensus latencies reported by
+    // `blocks.getAnalytics`
+    percentiles: [50, 90, 99]
+  }
+};
+
+cfg.watch = {
+  // time (ms) between polls for changes when change streams are not
+  // supported (MongoDB is not a replica set or sharded cluster)
+  pollInterval: 1000,
+  // maximum number of records read at a time per collection when polling
+  batchSize: 100,
+  // time (ms) before the last document seen to re-scan for documents that
+  // were inserted late, i.e. after a document with a later `_id`; it should
+  // exceed the clock skew between writer processes and the time an insert
+  // may take
+  overlapWindow: 30 * 1000
+};
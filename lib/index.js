@@ -5,22 +5,49 @@
 'use strict';
 
 const _ = require('lodash');
+const _archive = require('./archive');
+const _indexes = require('./indexes');
+const _migrations = require('./migrations');
 const assert = require('assert-plus');
 const bedrock = require('bedrock');
 const brLedgerNode = require('bedrock-ledger-node');
 const database = require('bedrock-mongodb');
+const jsonpatch = require('fast-json-patch');
 const logger = require('./logger');
-const {util: {uuid, BedrockError}} = bedrock;
+const {config, util: {uuid, BedrockError}} = bedrock;
+const LedgerBlockStorage = require('./LedgerBlockStorage');
 const LedgerStorage = require('./LedgerStorage');
+const {promisify} = require('util');
+
+const delay = promisify(setTimeout);
 
 require('./config');
 
+// MongoDB error code for operations on a non-existent namespace
+const MDBE_NS_NOT_FOUND = 26;
+// MongoDB error code for dropping an index that does not exist
+const MDBE_INDEX_NOT_FOUND = 27;
+
+// ledger storage meta fields that are managed by this module
+const RESERVED_META_FIELDS = [
+  'chainCheckpoint', 'created', 'deleted', 'migration', 'purge', 'purged',
+  'sequence', 'uniqueLedgerNode', 'updated'
+];
+
+// timer for the scheduled purge of deleted ledger storages
+let _purgeTimer = null;
+// timer for the scheduled garbage collection of pending blocks
+let _pendingGcTimer = null;
+// timer for the scheduled roll forward of interrupted block commits
+let _rollForwardTimer = null;
+let _stopped = false;
+
 // module API
 const api = {};
 module.exports = api;
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
-  await database.openCollections(['ledger']);
+  await database.openCollections(['ledger', 'ledgerBlockJournal']);
   await database.createIndexes([{
     collection: 'ledger',
     fields: {id: 1},
@@ -37,6 +64,26 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'ledger',
     fields: {'meta.deleted': 1},
     options: {unique: false, background: false}
+  }, {
+    collection: 'ledger',
+    fields: {'ledger.ledgerNode': 1, 'meta.deleted': 1},
+    options: {unique: false, background: false}
+  }, {
+    // only one live ledger storage created with `unique` per ledger node
+    collection: 'ledger',
+    fields: {uniqueLedgerNode: 1},
+    options: {
+      unique: true, background: false,
+      partialFilterExpression: {uniqueLedgerNode: {$exists: true}}
+    }
+  }, {
+    collection: 'ledgerBlockJournal',
+    fields: {id: 1},
+    options: {unique: true, background: false}
+  }, {
+    collection: 'ledgerBlockJournal',
+    fields: {storageId: 1, created: 1},
+    options: {unique: false, background: false}
   }]);
 });
 
@@ -45,12 +92,37 @@ bedrock.events.on('bedrock.start', () => {
   brLedgerNode.use('mongodb', {api, type: 'storage'});
 });
 
+bedrock.events.on('bedrock.ready', async () => {
+  // complete any block commits that were interrupted
+  await api.rollForwardCommits();
+  _scheduleRollForward();
+  if(config['ledger-storage-mongodb'].purge.enabled) {
+    _schedulePurge();
+  }
+  if(config['ledger-storage-mongodb'].blocks.pending.gcEnabled) {
+    _schedulePendingGc();
+  }
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  _stopped = true;
+  clearTimeout(_purgeTimer);
+  clearTimeout(_pendingGcTimer);
+  clearTimeout(_rollForwardTimer);
+});
+
 /**
  * Create a new ledger storage metadata and a set of options.
  *
  * @param meta the metadata associated with the ledger storage.
  * @param options the set of options used when creating the ledger.
  *          ledgerId the ID of the ledger.
+ *          ledgerNodeId the ID of the ledger node.
+ *          [plugins] the names of the storage plugins to use.
+ *          [unique] `true` to refuse to create the storage if another
+ *            storage that is not deleted exists for the ledger node; this
+ *            is enforced atomically against other storages created with
+ *            `unique` until they are removed.
  *
  * @return a Promise that resolves to a LedgerStorage instance.
  */
@@ -59,13 +131,25 @@ api.add = async (meta = {}, options = {}) => {
   assert.object(options, 'options');
   assert.string(options.ledgerNodeId, 'options.ledgerNodeId');
   assert.optionalArrayOfString(options.plugins, 'options.plugins');
+  assert.optionalBool(options.unique, 'options.unique');
   const plugins = options.plugins || [];
-  const {ledgerNodeId} = options;
+  const {ledgerNodeId, unique = false} = options;
 
   // ensure that all the specified plugins are registered, no NotFoundError
   // and that the plugin type is valid
   _verifyPlugins(plugins);
 
+  if(unique) {
+    // NOTE: concurrent `unique` adds are caught by the unique
+    // `uniqueLedgerNode` index on insert below
+    const storageIds = await _findStorageIds({ledgerNodeId});
+    if(storageIds.length > 0) {
+      throw new BedrockError(
+        'A ledger storage already exists for the given ledger node.',
+        'DuplicateError', {ledgerNodeId, storageIds});
+    }
+  }
+
   // generate UUIDs for the ledger storage
   const storageUuid = uuid();
   const vars = {
@@ -88,20 +172,38 @@ api.add = async (meta = {}, options = {}) => {
       id: vars.storageId,
       ledgerNode: ledgerNodeId,
       plugins,
+      // new ledger storages are created with the latest indexes
+      schemaVersion: _migrations.SCHEMA_VERSION,
     },
     meta: _.defaults(meta, {
       created: now,
-      updated: now
+      updated: now,
+      sequence: 0
     })
   };
 
+  if(unique) {
+    // cleared when the ledger storage is removed
+    record.uniqueLedgerNode = ledgerNodeId;
+  }
+
   logger.debug('adding storage', {ledgerNodeId});
 
-  await database.collections.ledger.insertOne(record, database.writeOptions);
+  try {
+    await database.collections.ledger.insertOne(
+      record, database.writeOptions);
+  } catch(e) {
+    if(!(unique && database.isDuplicateError(e))) {
+      throw e;
+    }
+    throw new BedrockError(
+      'A ledger storage already exists for the given ledger node.',
+      'DuplicateError', {ledgerNodeId}, e);
+  }
 
   // open the ledger collections
   await database.openCollections(Object.values(record.ledger.collections));
-  await _createCoreIndexes(vars);
+  await _indexes.createCoreIndexes(vars);
   await _createPluginIndexes({plugins, ...vars});
 
   const {blockCollection, eventCollection, operationCollection} = vars;
@@ -129,34 +231,352 @@ api.add = async (meta = {}, options = {}) => {
 /* eslint-disable-next-line no-unused-vars */
 api.get = async (storageId, options = {}) => {
   // find an existing ledger
+  const record = await _getLedgerRecord({storageId});
+  return _getLedgerStorage(record);
+};
+
+/**
+ * Migrates a ledger storage to the latest schema version by applying any
+ * outstanding migration steps. Only one process may migrate a ledger storage
+ * at a time; if another process is migrating the ledger storage, this call
+ * waits for it to finish.
+ *
+ * @param storageId - the URI of the ledger storage to migrate.
+ *
+ * @return a Promise that resolves to the schema version of the ledger
+ *   storage.
+ */
+api.migrate = async storageId => {
+  assert.string(storageId, 'storageId');
+  let record = await _getLedgerRecord({storageId});
+  if(_isOutdated(record)) {
+    record = await _migrate(record);
+  }
+  return record.ledger.schemaVersion;
+};
+
+/**
+ * Retrieves a storage API for the ledger storage associated with a ledger
+ * node. Exactly one ledger storage that is not deleted must exist for the
+ * ledger node.
+ *
+ * @param ledgerNodeId - the ID of the ledger node.
+ * @param options - a set of options used when retrieving the storage API.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance.
+ */
+api.getByLedgerNodeId = async (ledgerNodeId, options = {}) => {
+  assert.string(ledgerNodeId, 'ledgerNodeId');
+  const storageIds = await _findStorageIds({ledgerNodeId});
+  if(storageIds.length === 0) {
+    throw new BedrockError(
+      'A ledger storage for the given ledger node does not exist.',
+      'NotFoundError', {ledgerNodeId});
+  }
+  if(storageIds.length > 1) {
+    throw new BedrockError(
+      'Multiple ledger storages exist for the given ledger node.',
+      'InvalidStateError', {ledgerNodeId, storageIds});
+  }
+  return api.get(storageIds[0], options);
+};
+
+/**
+ * Updates the metadata for a ledger storage. The patch is a JSON Patch
+ * (RFC 6902) where every path is within `/meta`; fields managed by this
+ * module (such as `created` and `sequence`) may not be patched. The update
+ * is only applied if `expectedSequence` matches the current `meta.sequence`
+ * which is incremented on every successful update. Only the patched meta
+ * fields are written.
+ *
+ * @param storageId - the URI of the ledger storage to update.
+ * @param options - the set of options used when updating the ledger.
+ *          patch - the JSON Patch to apply.
+ *          expectedSequence - the current sequence number of the meta.
+ *
+ * @return a Promise that resolves to the updated meta.
+ */
+api.update = async (storageId, {patch, expectedSequence} = {}) => {
+  assert.string(storageId, 'storageId');
+  assert.arrayOfObject(patch, 'patch');
+  assert.number(expectedSequence, 'expectedSequence');
+
+  // the top-level meta fields changed by the patch
+  const fields = new Set();
+  for(const operation of patch) {
+    for(const path of [operation.path, operation.from]) {
+      if(path === undefined) {
+        continue;
+      }
+      const [root, token] = String(path).split('/').slice(1);
+      const field = token === undefined ?
+        undefined : token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if(root !== 'meta' || field === undefined ||
+        RESERVED_META_FIELDS.includes(field) || field.includes('.') ||
+        field.startsWith('$')) {
+        throw new BedrockError(
+          'Only ledger storage meta can be updated.',
+          'NotAllowedError', {operation, storageId});
+      }
+      if(operation.op !== 'test') {
+        fields.add(field);
+      }
+    }
+  }
+
   const query = {
     id: storageId,
     'meta.deleted': {
       $exists: false
     }
   };
-  const record = await database.collections.ledger.findOne(query, {});
+  const projection = {_id: 0, meta: 1};
+  const record = await database.collections.ledger.findOne(
+    query, {projection});
   if(!record) {
     throw new BedrockError(
-      'A ledger with the given storage ID does not exist.',
+      'Update ledger storage failed; ledger not found.',
       'NotFoundError', {storageId});
   }
+  const {meta: {sequence = 0}} = record;
+  if(sequence !== expectedSequence) {
+    throw new BedrockError(
+      'Update ledger storage failed; sequence does not match.',
+      'InvalidStateError', {actual: sequence, expectedSequence, storageId});
+  }
 
-  // open the ledger collections
-  const {ledger} = record;
-  const {collections} = ledger;
-  await database.openCollections(Object.values(collections));
+  let meta;
+  try {
+    ({meta} = jsonpatch.applyPatch(record, patch, true).newDocument);
+  } catch(e) {
+    if(e.name === 'TEST_OPERATION_FAILED') {
+      throw new BedrockError(
+        'Update ledger storage failed; patch test operation failed.',
+        'InvalidStateError', {operation: e.operation, storageId}, e);
+    }
+    throw new BedrockError(
+      'Update ledger storage failed; invalid patch.',
+      'DataError', {operation: e.operation, storageId}, e);
+  }
+  // only the patched fields are written so that fields managed by this
+  // module (e.g. `chainCheckpoint`) that change concurrently are kept
+  const update = {
+    $set: {'meta.updated': Date.now(), 'meta.sequence': sequence + 1}
+  };
+  for(const field of fields) {
+    if(Object.prototype.hasOwnProperty.call(meta, field)) {
+      update.$set[`meta.${field}`] = meta[field];
+    } else {
+      update.$unset = {...update.$unset, [`meta.${field}`]: ''};
+    }
+  }
 
-  const lsOptions = {
-    blockCollection: database.collections[collections.block],
-    eventCollection: database.collections[collections.event],
-    ledgerNodeId: ledger.ledgerNode,
-    operationCollection: database.collections[collections.operation],
-    storageId: ledger.id,
+  // records created before `sequence` was introduced do not have one
+  const filter = {
+    ...query,
+    'meta.sequence': sequence === 0 ? {$in: [0, null]} : sequence
   };
-  const ledgerStorage = new LedgerStorage(lsOptions);
-  const {plugins} = ledger;
-  return _extendLedgerStorage({ledgerStorage, plugins});
+  const {value} = await database.collections.ledger.findOneAndUpdate(
+    filter, update, {
+      ...database.writeOptions, projection: {_id: 0, meta: 1},
+      returnOriginal: false
+    });
+  if(!value) {
+    throw new BedrockError(
+      'Update ledger storage failed; sequence does not match.',
+      'InvalidStateError', {expectedSequence, storageId});
+  }
+  return value.meta;
+};
+
+/**
+ * Attaches storage plugins to an existing ledger storage. Any indexes
+ * specified by the plugins' `expandIndexes` methods are created on the
+ * existing collections before the plugins are recorded for the ledger.
+ *
+ * @param storageId - the URI of the ledger storage.
+ * @param options - the set of options used when adding the plugins.
+ *          plugins - the names of the storage plugins to attach.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance that has
+ *   been extended by the plugins.
+ */
+api.addPlugins = async (storageId, {plugins} = {}) => {
+  assert.string(storageId, 'storageId');
+  assert.arrayOfString(plugins, 'plugins');
+  _verifyPlugins(plugins);
+
+  const {ledger} = await _getLedgerRecord({storageId});
+  const newPlugins = _.difference(_.uniq(plugins), ledger.plugins);
+  if(newPlugins.length > 0) {
+    const {collections} = ledger;
+    await database.openCollections(Object.values(collections));
+    await _createPluginIndexes({
+      blockCollection: collections.block,
+      eventCollection: collections.event,
+      operationCollection: collections.operation,
+      plugins: newPlugins
+    });
+    await _updateLedgerRecord({storageId, update: {
+      $addToSet: {'ledger.plugins': {$each: newPlugins}}
+    }});
+  }
+  return api.get(storageId);
+};
+
+/**
+ * Detaches storage plugins from an existing ledger storage. Plugins that
+ * provide a `removeIndexes` method are given the opportunity to drop the
+ * indexes they created. LedgerStorage instances that were previously
+ * retrieved continue to expose the plugins' methods.
+ *
+ * @param storageId - the URI of the ledger storage.
+ * @param options - the set of options used when removing the plugins.
+ *          plugins - the names of the storage plugins to detach.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance.
+ */
+api.removePlugins = async (storageId, {plugins} = {}) => {
+  assert.string(storageId, 'storageId');
+  assert.arrayOfString(plugins, 'plugins');
+
+  const {ledger} = await _getLedgerRecord({storageId});
+  const oldPlugins = _.intersection(ledger.plugins, plugins);
+  if(oldPlugins.length > 0) {
+    await _updateLedgerRecord({storageId, update: {
+      $pullAll: {'ledger.plugins': oldPlugins}
+    }});
+    const {collections} = ledger;
+    await database.openCollections(Object.values(collections));
+    await _removePluginIndexes({
+      blockCollection: collections.block,
+      eventCollection: collections.event,
+      operationCollection: collections.operation,
+      plugins: oldPlugins
+    });
+  }
+  return api.get(storageId);
+};
+
+/**
+ * Verifies that the collections of a ledger storage have the core indexes
+ * and the indexes declared by the `expandIndexes` methods of its storage
+ * plugins. Indexes are compared by name, keys, `unique` and
+ * `partialFilterExpression`.
+ *
+ * @param storageId - the URI of the ledger storage to verify.
+ * @param options - the set of options used when verifying the indexes.
+ *          [repair] - `true` to create missing indexes and rebuild
+ *            mismatched indexes; extra indexes are left in place.
+ *
+ * @return a Promise that resolves to a report with:
+ *   valid - `true` if no indexes are missing or mismatched.
+ *   collections - an object with `block`, `event` and `operation` keys
+ *     each with the collection `name` and its `missing`, `extra` and
+ *     `mismatched` indexes; missing core indexes include the
+ *     `schemaVersion` whose migration creates them.
+ *   repaired - `true` if any indexes were repaired.
+ */
+api.verifyIndexes = async (storageId, {repair = false} = {}) => {
+  assert.string(storageId, 'storageId');
+  assert.bool(repair, 'repair');
+  const {ledger: {collections, plugins}} = await _getLedgerRecord(
+    {storageId});
+  await database.openCollections(Object.values(collections));
+  const collectionNames = {
+    blockCollection: collections.block,
+    eventCollection: collections.event,
+    operationCollection: collections.operation,
+  };
+  const declared = [
+    ..._indexes.getCoreIndexes(collectionNames),
+    ...await _getPluginIndexes({plugins, ...collectionNames})
+  ];
+
+  const report = {valid: true, collections: {}, repaired: false};
+  for(const [type, name] of Object.entries(collections)) {
+    const actual = await database.collections[name].indexes();
+    const result = _indexes.compareIndexes({
+      declared: declared.filter(d => d.collection === name),
+      actual
+    });
+    // missing core indexes are created by the migration to `schemaVersion`
+    for(const definition of result.missing) {
+      const schemaVersion = _indexes.getCoreIndexVersion(definition);
+      if(schemaVersion !== undefined) {
+        definition.schemaVersion = schemaVersion;
+      }
+    }
+    report.collections[type] = {name, ...result};
+    if(result.missing.length === 0 && result.mismatched.length === 0) {
+      continue;
+    }
+    report.valid = false;
+    if(!repair) {
+      continue;
+    }
+    logger.debug('repairing indexes', {collection: name, storageId});
+    await _dropIndexes(result.mismatched.map(
+      ({name: indexName}) => ({collection: name, name: indexName})));
+    await database.createIndexes([
+      ...result.missing,
+      ...result.mismatched.map(({expected}) => expected)
+    ]);
+    report.repaired = true;
+  }
+  return report;
+};
+
+/**
+ * Imports a ledger archive (as produced by `LedgerStorage.export`) into a
+ * new ledger storage. The new storage is created via `add` with the
+ * metadata and plugins recorded in the archive, then the archive's blocks,
+ * events and operations are replayed into it. If the import fails, the new
+ * ledger storage is removed.
+ *
+ * @param stream - a Readable stream of NDJSON archive lines.
+ * @param options - the set of options used when importing the ledger.
+ *          ledgerNodeId - the ID of the ledger node for the new storage.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance.
+ */
+api.import = async (stream, {ledgerNodeId} = {}) => {
+  assert.object(stream, 'stream');
+  assert.string(ledgerNodeId, 'ledgerNodeId');
+  return _replayArchive({
+    stream,
+    ledgerNodeId,
+    provenance: ({id}) => ({imported: {storageId: id, date: Date.now()}})
+  });
+};
+
+/**
+ * Forks a ledger storage at a given block height. A new ledger storage is
+ * created via `add` with the same plugins and metadata as the source and
+ * the consensus blocks of the source up to and including `blockHeight` are
+ * copied into it along with their events and operations. Non-consensus
+ * data is not copied. The new storage's `meta.fork` records the source
+ * storage ID and block height.
+ *
+ * @param storageId - the URI of the ledger storage to fork.
+ * @param options - the set of options used when forking the ledger.
+ *          blockHeight - the height of the last block to copy.
+ *          ledgerNodeId - the ID of the ledger node for the new storage.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance.
+ */
+api.fork = async (storageId, {blockHeight, ledgerNodeId} = {}) => {
+  assert.string(storageId, 'storageId');
+  assert.number(blockHeight, 'blockHeight');
+  assert.string(ledgerNodeId, 'ledgerNodeId');
+  const source = await api.get(storageId);
+  // ensure the block exists
+  await source.blocks.getSummaryByHeight({blockHeight});
+  return _replayArchive({
+    stream: source.export({toBlockHeight: blockHeight}),
+    ledgerNodeId,
+    provenance: () => ({fork: {storageId, blockHeight, date: Date.now()}})
+  });
 };
 
 /**
@@ -171,12 +591,16 @@ api.remove = async (storageId, options = {}) => {
     id: storageId
   };
   const now = Date.now();
+  // NOTE: the rest of `meta` is preserved so that the ledger may be restored
   const update = {
     $set: {
-      meta: {
-        updated: now,
-        deleted: now
-      }
+      'meta.updated': now,
+      'meta.deleted': now
+    },
+    // another storage may be created with `unique` for the ledger node; the
+    // ledger node is kept in `meta` so that `restore` can re-apply it
+    $rename: {
+      uniqueLedgerNode: 'meta.uniqueLedgerNode'
     }
   };
   const result = await database.collections.ledger.updateOne(filter, update);
@@ -187,6 +611,401 @@ api.remove = async (storageId, options = {}) => {
   }
 };
 
+/**
+ * Restores a ledger storage that has been deleted but not purged. A ledger
+ * storage that was added with `unique` is unique for its ledger node again,
+ * so it cannot be restored while another such ledger storage exists.
+ *
+ * @param storageId - the URI of the deleted ledger to restore.
+ * @param options - a set of options used when retrieving the storage API.
+ *
+ * @return a Promise that resolves to a LedgerStorage instance.
+ */
+api.restore = async (storageId, options = {}) => {
+  assert.string(storageId, 'storageId');
+  const filter = {
+    id: storageId,
+    'meta.deleted': {
+      $exists: true
+    },
+    // the collections of a ledger that is being purged may already be gone
+    'meta.purge': {
+      $exists: false
+    }
+  };
+  const update = {
+    $set: {
+      'meta.updated': Date.now()
+    },
+    $unset: {
+      'meta.deleted': ''
+    },
+    // a no-op unless the ledger storage was added with `unique`
+    $rename: {
+      'meta.uniqueLedgerNode': 'uniqueLedgerNode'
+    }
+  };
+  let result;
+  try {
+    result = await database.collections.ledger.updateOne(
+      filter, update, database.writeOptions);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Restore ledger storage failed; a ledger storage already exists for ' +
+      'the ledger node.',
+      'DuplicateError', {storageId}, e);
+  }
+  if(result.matchedCount !== 1) {
+    const record = await database.collections.ledger.findOne(
+      {id: storageId}, {projection: {_id: 0, meta: 1}});
+    if(record && record.meta.purge) {
+      throw new BedrockError(
+        'Restore ledger storage failed; ledger has been purged.',
+        'NotAllowedError', {storageId});
+    }
+    throw new BedrockError(
+      'Restore ledger storage failed; deleted ledger not found.',
+      'NotFoundError', {storageId});
+  }
+  return api.get(storageId, options);
+};
+
+/**
+ * Permanently removes a deleted ledger storage by dropping its block, event
+ * and operation collections along with their indexes. Progress is recorded
+ * in the ledger storage record so that an interrupted purge is resumed the
+ * next time it is attempted.
+ *
+ * @param storageId - the URI of the deleted ledger to purge.
+ * @param options - a set of options used when purging the ledger.
+ *          gracePeriod - the time (ms) that must have elapsed since the
+ *            ledger was deleted (defaults to the configured `gracePeriod`).
+ *
+ * @return a Promise that resolves once the ledger storage has been purged.
+ */
+api.purge = async (storageId, options = {}) => {
+  assert.string(storageId, 'storageId');
+  const {gracePeriod = config['ledger-storage-mongodb'].purge.gracePeriod} =
+    options;
+  assert.number(gracePeriod, 'options.gracePeriod');
+  const query = {
+    id: storageId,
+    'meta.deleted': {
+      $exists: true
+    }
+  };
+  const projection = {_id: 0};
+  const record = await database.collections.ledger.findOne(
+    query, {projection});
+  if(!record) {
+    throw new BedrockError(
+      'A deleted ledger with the given storage ID does not exist.',
+      'NotFoundError', {storageId});
+  }
+  if(record.meta.purged) {
+    // nothing left to do
+    return;
+  }
+  if(record.meta.deleted > Date.now() - gracePeriod) {
+    throw new BedrockError(
+      'The ledger storage cannot be purged until its grace period expires.',
+      'NotAllowedError',
+      {deleted: record.meta.deleted, gracePeriod, storageId});
+  }
+  await _purge(record);
+};
+
+/**
+ * Purges all ledger storages that have been deleted for longer than the
+ * grace period, including any storages with an interrupted purge.
+ *
+ * @param options - a set of options used when purging ledgers.
+ *          gracePeriod - the time (ms) that must have elapsed since a
+ *            ledger was deleted (defaults to the configured `gracePeriod`).
+ *
+ * @return a Promise that resolves to the storage IDs that were purged.
+ */
+api.purgeDeleted = async (options = {}) => {
+  const {gracePeriod = config['ledger-storage-mongodb'].purge.gracePeriod} =
+    options;
+  assert.number(gracePeriod, 'options.gracePeriod');
+  const query = {
+    'meta.deleted': {
+      $lte: Date.now() - gracePeriod
+    },
+    'meta.purged': {
+      $exists: false
+    }
+  };
+  const projection = {_id: 0};
+  const records = await database.collections.ledger.find(
+    query, {projection}).toArray();
+  const purged = [];
+  for(const record of records) {
+    if(await _purge(record)) {
+      purged.push(record.id);
+    }
+  }
+  return purged;
+};
+
+/**
+ * Removes pending (non-consensus) blocks that are older than a maximum age
+ * from all ledger storages that are not deleted.
+ *
+ * @param options - a set of options.
+ *          [maxAge] - the age (ms) a pending block must have to be
+ *            removed, defaults to
+ *            `config['ledger-storage-mongodb'].blocks.pending.maxAge`.
+ *
+ * @return a Promise that resolves to the number of blocks removed.
+ */
+api.removePendingBlocks = async (options = {}) => {
+  const {maxAge = config['ledger-storage-mongodb'].blocks.pending.maxAge} =
+    options;
+  assert.number(maxAge, 'options.maxAge');
+  let count = 0;
+  for await (const ledgerStorage of api.iterateLedgers({storage: true})) {
+    count += await ledgerStorage.blocks.removePending({maxAge});
+  }
+  return count;
+};
+
+/**
+ * Gets an async iterator over the ledger storages in the system that match
+ * the given filters. Lightweight descriptors are produced by default, set
+ * `storage` to get LedgerStorage instances instead. Ledgers are iterated in
+ * storage ID order; after each item the iterator's `continuationToken`
+ * property may be used to resume iterating (with the same filters) after
+ * that item. The `continuationToken` is `null` once all ledgers have been
+ * iterated over.
+ *
+ * @param options - a set of options to use when iterating.
+ *          [ledgerNodeId] - only ledgers for the given ledger node ID.
+ *          [plugin] - only ledgers that use the given storage plugin.
+ *          [createdAfter] - only ledgers created after the given time (ms).
+ *          [createdBefore] - only ledgers created before the given time (ms).
+ *          [updatedAfter] - only ledgers updated after the given time (ms).
+ *          [updatedBefore] - only ledgers updated before the given time (ms).
+ *          [meta] - only ledgers with the given meta field values, keyed by
+ *            field path relative to `meta` (e.g. `{'owner.id': 'x'}`).
+ *          [deleted] - `false` (default) for live ledgers, `true` for
+ *            deleted ledgers or `'any'` for both.
+ *          [storage] - `true` to produce LedgerStorage instances instead of
+ *            descriptors (live ledgers only).
+ *          [limit] - the maximum number of ledgers to iterate over.
+ *          [batchSize] - the number of records to read at a time.
+ *          [continuationToken] - a token from a previous iterator.
+ *
+ * @return an async iterator that produces ledger descriptors with:
+ *   id - the storage ID.
+ *   ledgerNodeId - the ID of the ledger node.
+ *   plugins - the storage plugins for the ledger.
+ *   meta - the metadata for the ledger storage.
+ */
+api.iterateLedgers = ({
+  ledgerNodeId, plugin, createdAfter, createdBefore, updatedAfter,
+  updatedBefore, meta = {}, deleted = false, storage = false, limit,
+  batchSize = 100, continuationToken
+} = {}) => {
+  assert.optionalString(ledgerNodeId, 'ledgerNodeId');
+  assert.optionalString(plugin, 'plugin');
+  assert.optionalNumber(createdAfter, 'createdAfter');
+  assert.optionalNumber(createdBefore, 'createdBefore');
+  assert.optionalNumber(updatedAfter, 'updatedAfter');
+  assert.optionalNumber(updatedBefore, 'updatedBefore');
+  assert.object(meta, 'meta');
+  assert.optionalNumber(limit, 'limit');
+  assert.number(batchSize, 'batchSize');
+  assert.optionalString(continuationToken, 'continuationToken');
+  if(![true, false, 'any'].includes(deleted)) {
+    throw new TypeError('"deleted" must be `true`, `false`, or "any".');
+  }
+  if(storage && deleted !== false) {
+    throw new TypeError(
+      'Storage instances can only be produced for ledgers that are not ' +
+      'deleted.');
+  }
+
+  const query = {};
+  if(deleted !== 'any') {
+    query['meta.deleted'] = {$exists: deleted};
+  }
+  if(ledgerNodeId) {
+    query['ledger.ledgerNode'] = ledgerNodeId;
+  }
+  if(plugin) {
+    query['ledger.plugins'] = plugin;
+  }
+  for(const [field, after, before] of [
+    ['meta.created', createdAfter, createdBefore],
+    ['meta.updated', updatedAfter, updatedBefore]]) {
+    if(after !== undefined) {
+      query[field] = {$gt: after};
+    }
+    if(before !== undefined) {
+      query[field] = {...query[field], $lt: before};
+    }
+  }
+  for(const [field, value] of Object.entries(meta)) {
+    if(field.startsWith('$') || RESERVED_META_FIELDS.includes(field)) {
+      throw new TypeError(`Invalid meta filter field "${field}".`);
+    }
+    query[`meta.${field}`] = value;
+  }
+
+  let lastId = continuationToken ?
+    _decodeContinuationToken(continuationToken).id : null;
+  let count = 0;
+  let done = false;
+  async function* generate() {
+    const projection = {_id: 0};
+    while(limit === undefined || count < limit) {
+      const batchLimit = limit === undefined ?
+        batchSize : Math.min(batchSize, limit - count);
+      const batchQuery = lastId ? {...query, id: {$gt: lastId}} : query;
+      const records = await database.collections.ledger.find(
+        batchQuery, {projection})
+        .sort({id: 1})
+        .limit(batchLimit)
+        .toArray();
+      for(const record of records) {
+        const value = storage ?
+          await _getLedgerStorage(record) : _getLedgerDescriptor(record);
+        lastId = record.id;
+        count++;
+        yield value;
+      }
+      if(records.length < batchLimit) {
+        done = true;
+        return;
+      }
+    }
+  }
+
+  const iterator = generate();
+  Object.defineProperty(iterator, 'continuationToken', {
+    get() {
+      if(done) {
+        return null;
+      }
+      return lastId ?
+        _encodeContinuationToken({id: lastId}) : (continuationToken || null);
+    }
+  });
+  return iterator;
+};
+
+/**
+ * Completes any journaled block commits (see `LedgerStorage.commitBlock`)
+ * that were interrupted, in the order they were started. Only commits whose
+ * claim has expired (the process that started them exited or stalled) are
+ * rolled forward; each is claimed by this process first so that it is
+ * rolled forward once. Commits that fail to roll forward are logged and
+ * retried once their new claim expires. Journaled commits for ledger
+ * storages that no longer exist are discarded. This runs when bedrock is
+ * ready and then every `config['ledger-storage-mongodb'].commit.interval`.
+ *
+ * @return a Promise that resolves to the number of commits rolled forward.
+ */
+api.rollForwardCommits = async () => {
+  const journal = database.collections.ledgerBlockJournal;
+  const {claimTtl} = config['ledger-storage-mongodb'].commit;
+  const owner = uuid();
+  const entries = await journal.find(
+    {'claim.expires': {$lt: Date.now()}}, {projection: {_id: 0, id: 1}})
+    .sort({storageId: 1, created: 1}).toArray();
+  let count = 0;
+  for(const {id: journalId} of entries) {
+    const now = Date.now();
+    const {value: entry} = await journal.findOneAndUpdate(
+      {id: journalId, 'claim.expires': {$lt: now}},
+      {$set: {claim: {owner, expires: now + claimTtl}}},
+      {projection: {_id: 0}, returnOriginal: false});
+    if(!entry) {
+      // completed or claimed by another process
+      continue;
+    }
+    const {storageId, block, meta, eventUpdates} = entry;
+    try {
+      let ledgerStorage;
+      try {
+        ledgerStorage = await api.get(storageId);
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        logger.debug('discarding journaled commit', {journalId, storageId});
+        await journal.deleteOne({id: journalId, 'claim.owner': owner});
+        continue;
+      }
+      logger.debug('rolling forward journaled commit', {journalId, storageId});
+      await ledgerStorage._applyJournaledCommit(
+        {journalId, owner, block, meta, eventUpdates, rollForward: true});
+      await bedrock.events.emit('bedrock-ledger-storage.block.add', {
+        blockHeight: block.blockHeight,
+        ledgerNodeId: ledgerStorage.blocks.ledgerNodeId
+      });
+      count++;
+    } catch(e) {
+      logger.error('Failed to roll forward journaled commit.',
+        {error: e, journalId, storageId});
+    }
+  }
+  return count;
+};
+
+/**
+ * Verifies a proof that an event is included in a block as returned by
+ * `blocks.getEventProof`. Clients may use this without access to storage.
+ *
+ * @param eventHash - the hash of the event.
+ * @param proof - the sibling path, an array of `{hash, position}`.
+ * @param merkleRoot - the Merkle root of the block (`meta.merkleRoot`).
+ *
+ * @return `true` if the proof is valid, `false` if not.
+ */
+api.verifyEventProof = LedgerBlockStorage.verifyEventProof;
+
+/**
+ * Gets statistics rolled up across all ledger storages that are not deleted.
+ *
+ * @return a Promise that resolves to an object with:
+ *   ledgers - the number of ledger storages.
+ *   blocks - totals of `count`, `size`, `storageSize` and `totalIndexSize`.
+ *   events - the same totals plus `consensus` and `nonConsensus` counts.
+ *   operations - the same totals plus `byType` (operation type => count).
+ */
+api.getStats = async () => {
+  const totals = () => ({count: 0, size: 0, storageSize: 0, totalIndexSize: 0});
+  const stats = {
+    ledgers: 0,
+    blocks: totals(),
+    events: {...totals(), consensus: 0, nonConsensus: 0},
+    operations: {...totals(), byType: {}}
+  };
+  for await (const ledgerStorage of api.iterateLedgers({storage: true})) {
+    const ledgerStats = await ledgerStorage.getStats();
+    stats.ledgers++;
+    for(const type of ['blocks', 'events', 'operations']) {
+      for(const field of Object.keys(stats[type])) {
+        if(typeof stats[type][field] === 'number') {
+          stats[type][field] += ledgerStats[type][field];
+        }
+      }
+    }
+    for(const [type, count] of Object.entries(
+      ledgerStats.operations.byType)) {
+      stats.operations.byType[type] =
+        (stats.operations.byType[type] || 0) + count;
+    }
+  }
+  return stats;
+};
+
 /**
  * Gets an iterator that will iterate over all ledgers in
  * the system. The iterator will return a ledgerId that can be
@@ -241,101 +1060,329 @@ api.getLedgerIterator = async (options = {}) => {
   return iterator;
 };
 
-// create indexes on block IDs, event IDs, and deleted flags
-async function _createCoreIndexes(
-  {blockCollection, eventCollection, operationCollection}) {
-  await database.createIndexes([{
-    collection: eventCollection,
-    fields: {'meta.eventHash': 1},
-    options: {unique: true, background: false, name: 'event.eventHash.core.1'}
-  }, {
-    collection: eventCollection,
-    fields: {'meta.eventHash': 1, 'meta.blockHeight': 1},
-    options: {unique: true, background: false, name: 'event.eventHash.core.2',
-      partialFilterExpression: {'meta.consensus': true}
+// resolves to `false` if the ledger storage was restored before its purge
+// could begin
+async function _purge({id: storageId, ledger, meta}) {
+  const {collections, ledgerNode: ledgerNodeId} = ledger;
+  logger.debug('purging storage', {storageId});
+
+  // record that a purge has begun so that it may be resumed
+  const filter = {id: storageId};
+  if(!meta.purge) {
+    meta.purge = {started: Date.now(), collections: []};
+    // the ledger must still be deleted, it may have been restored since it
+    // was found
+    const result = await database.collections.ledger.updateOne({
+      ...filter,
+      'meta.deleted': {$exists: true}
+    }, {$set: {'meta.purge': meta.purge}}, database.writeOptions);
+    if(result.matchedCount !== 1) {
+      logger.debug('storage restored before purge', {storageId});
+      return false;
     }
-  }, {
-    collection: eventCollection,
-    fields: {'meta.eventHash': 1, 'meta.consensus': 1},
-    options: {unique: true, background: false, name: 'event.eventHash.core.3'}
-  }, {
-    // LedgerEventStorage.getMany query by `blockHeight`
-    collection: eventCollection,
-    fields: {
-      'meta.blockHeight': 1, 'meta.eventHash': 1, 'meta.eventOrder': 1,
-      'meta.blockOrder': 1, 'event.basisBlockHeight': 1,
-      'event.ledgerConfiguration': 1, 'event.parentHash': 1, 'event.proof': 1,
-      'event.treeHash': 1, 'event.type': 1,
-    },
-    options: {
-      name: 'event.blockHeight.core.1', unique: false, background: false,
-      // when consensus is true, a blockHeight and blockOrder is assigned
-      partialFilterExpression: {'meta.consensus': true}
+  }
+
+  for(const collectionName of Object.values(collections)) {
+    if(meta.purge.collections.includes(collectionName)) {
+      continue;
     }
-  }, {
-    collection: eventCollection,
-    fields: {'meta.consensus': 1, 'event.type': 1, 'meta.blockHeight': 1,
-      'meta.blockOrder': 1},
-    options: {unique: true, background: false, name: 'event.consensus.core.1',
-      // when consensus is true, a blockHeight and blockOrder is assigned
-      partialFilterExpression: {'meta.consensus': true}
+    try {
+      await database.db.dropCollection(collectionName);
+    } catch(e) {
+      // another process may have dropped the collection already
+      if(e.code !== MDBE_NS_NOT_FOUND) {
+        throw e;
+      }
     }
-  }, {
-    collection: eventCollection,
-    fields: {'meta.consensus': 1, 'event.type': 1},
-    options: {unique: false, background: false, name: 'event.consensus.core.2'}
-  }, {
-    collection: eventCollection,
-    fields: {'meta.blockHeight': 1, 'meta.effectiveConfiguration': 1},
-    options: {
-      name: 'event.effectiveConfiguration.core.1',
-      unique: true, background: false,
-      partialFilterExpression: {'meta.effectiveConfiguration': true}
+    delete database.collections[collectionName];
+    await database.collections.ledger.updateOne(
+      filter, {$addToSet: {'meta.purge.collections': collectionName}},
+      database.writeOptions);
+  }
+
+  const now = Date.now();
+  await database.collections.ledger.updateOne(filter, {
+    $set: {'meta.updated': now, 'meta.purged': now}
+  }, database.writeOptions);
+
+  await bedrock.events.emit('bedrock-ledger-storage.ledger.purge', {
+    ledgerNodeId,
+    storageId
+  });
+  return true;
+}
+
+function _schedulePurge() {
+  if(_stopped) {
+    return;
+  }
+  const {interval} = config['ledger-storage-mongodb'].purge;
+  _purgeTimer = setTimeout(async () => {
+    try {
+      await api.purgeDeleted();
+    } catch(e) {
+      logger.error('Failed to purge deleted ledger storages.', {error: e});
     }
-  }, {
-    collection: blockCollection,
-    fields: {id: 1},
-    options: {unique: true, background: false, name: 'block.id.core.1'}
-  }, {
-    collection: blockCollection,
-    fields: {'block.blockHeight': 1},
-    options: {
-      unique: false, background: false, name: 'block.blockHeight.core.1'
+    _schedulePurge();
+  }, interval);
+}
+
+function _scheduleRollForward() {
+  if(_stopped) {
+    return;
+  }
+  const {interval} = config['ledger-storage-mongodb'].commit;
+  _rollForwardTimer = setTimeout(async () => {
+    try {
+      await api.rollForwardCommits();
+    } catch(e) {
+      logger.error('Failed to roll forward journaled commits.', {error: e});
     }
-  }, {
-    collection: blockCollection,
-    fields: {'block.type': 1, 'block.blockHeight': 1},
-    options: {unique: false, background: false, name: 'block.type.core.1'}
-  }, {
-    collection: blockCollection,
-    fields: {'meta.blockHash': 1},
-    options: {unique: true, background: false, name: 'block.blockHash.core.1'}
-  }, {
-    collection: blockCollection,
-    fields: {'meta.consensus': 1, 'block.blockHeight': 1,
-      'block.previousBlockHash': 1},
-    options: {unique: true, background: false, name: 'block.consensus.core.1'}
-  }, {
-    collection: operationCollection,
-    fields: {
-      'meta.eventHash': 1, 'meta.eventOrder': 1, 'meta.operationHash': 1
-    },
-    options: {
-      unique: true, background: false, name: 'operation.eventHash.core.1'
+    _scheduleRollForward();
+  }, interval);
+}
+
+function _schedulePendingGc() {
+  if(_stopped) {
+    return;
+  }
+  const {gcInterval} = config['ledger-storage-mongodb'].blocks.pending;
+  _pendingGcTimer = setTimeout(async () => {
+    try {
+      await api.removePendingBlocks();
+    } catch(e) {
+      logger.error('Failed to remove pending blocks.', {error: e});
     }
-  }, {
-    collection: operationCollection,
-    fields: {recordId: 1},
-    options: {
-      unique: false, background: false, name: 'operation.recordId.core.1'
+    _schedulePendingGc();
+  }, gcInterval);
+}
+
+function _isOutdated({ledger: {schemaVersion = 0}}) {
+  return schemaVersion < _migrations.SCHEMA_VERSION;
+}
+
+// applies outstanding migration steps to a ledger storage while holding its
+// migration lock, resolves to the migrated ledger storage record
+async function _migrate(record) {
+  const {id: storageId} = record;
+  const {lockTtl, pollInterval} =
+    config['ledger-storage-mongodb'].migration;
+  const lockId = uuid();
+  const deadline = Date.now() + lockTtl;
+  while(!await _acquireMigrationLock({storageId, lockId, lockTtl})) {
+    // another process is migrating the ledger storage
+    await delay(pollInterval);
+    record = await _getLedgerRecord({storageId});
+    if(!_isOutdated(record)) {
+      return record;
     }
-  }, {
-    collection: operationCollection,
-    fields: {'meta.operationHash': 1},
-    options: {
-      unique: false, background: false, name: 'operation.operationHash.core.1'
+    if(Date.now() > deadline) {
+      throw new BedrockError(
+        'Timed out waiting for ledger storage migration.',
+        'InvalidStateError', {storageId});
     }
-  }]);
+  }
+
+  try {
+    // re-read the record now that the lock is held
+    record = await _getLedgerRecord({storageId});
+    const {ledger: {collections, schemaVersion = 0}} = record;
+    await database.openCollections(Object.values(collections));
+    const context = {
+      collections: {
+        block: database.collections[collections.block],
+        event: database.collections[collections.event],
+        operation: database.collections[collections.operation],
+      },
+      collectionNames: {
+        blockCollection: collections.block,
+        eventCollection: collections.event,
+        operationCollection: collections.operation,
+      },
+      logger
+    };
+    for(const {version, description, migrate} of
+      _migrations.getMigrations({schemaVersion})) {
+      logger.debug('migrating storage', {description, storageId, version});
+      await migrate(context);
+      // record progress and renew the lock
+      const result = await database.collections.ledger.updateOne({
+        id: storageId,
+        'meta.migration.lockId': lockId
+      }, {
+        $set: {
+          'ledger.schemaVersion': version,
+          'meta.migration.expires': Date.now() + lockTtl
+        }
+      }, database.writeOptions);
+      if(result.matchedCount !== 1) {
+        throw new BedrockError(
+          'Ledger storage migration lock was lost.',
+          'InvalidStateError', {storageId, version});
+      }
+      record.ledger.schemaVersion = version;
+    }
+  } finally {
+    await database.collections.ledger.updateOne({
+      id: storageId,
+      'meta.migration.lockId': lockId
+    }, {$unset: {'meta.migration': ''}}, database.writeOptions);
+  }
+  return record;
+}
+
+// resolves to `true` if the lock was acquired
+async function _acquireMigrationLock({storageId, lockId, lockTtl}) {
+  const now = Date.now();
+  const filter = {
+    id: storageId,
+    $or: [
+      {'meta.migration': {$exists: false}},
+      {'meta.migration.expires': {$lt: now}}
+    ]
+  };
+  const update = {
+    $set: {'meta.migration': {lockId, expires: now + lockTtl}}
+  };
+  const result = await database.collections.ledger.updateOne(
+    filter, update, database.writeOptions);
+  return result.matchedCount === 1;
+}
+
+// replays an archive into a new ledger storage that is removed if the
+// replay fails; `provenance` is given the archived storage description and
+// returns meta to add to the new storage
+async function _replayArchive({stream, ledgerNodeId, provenance}) {
+  let storageId;
+  try {
+    const {ledgerStorage} = await _archive.importArchive({
+      stream,
+      createStorage: async ({storage}) => {
+        const meta = {
+          ..._.omit(storage.meta, RESERVED_META_FIELDS),
+          ...provenance(storage)
+        };
+        const ledgerStorage = await api.add(
+          meta, {ledgerNodeId, plugins: storage.plugins});
+        storageId = ledgerStorage.id;
+        return ledgerStorage;
+      }
+    });
+    return ledgerStorage;
+  } catch(e) {
+    if(storageId) {
+      logger.debug('removing storage after failed replay', {storageId});
+      await api.remove(storageId);
+    }
+    throw e;
+  }
+}
+
+// gets the record for a ledger storage that is not deleted
+async function _getLedgerRecord({storageId}) {
+  const query = {
+    id: storageId,
+    'meta.deleted': {
+      $exists: false
+    }
+  };
+  const projection = {_id: 0};
+  const record = await database.collections.ledger.findOne(
+    query, {projection});
+  if(!record) {
+    throw new BedrockError(
+      'A ledger with the given storage ID does not exist.',
+      'NotFoundError', {storageId});
+  }
+  return record;
+}
+
+// updates the record for a ledger storage that is not deleted
+async function _updateLedgerRecord({storageId, update}) {
+  const filter = {
+    id: storageId,
+    'meta.deleted': {
+      $exists: false
+    }
+  };
+  update = {
+    ...update,
+    $set: {...update.$set, 'meta.updated': Date.now()}
+  };
+  const result = await database.collections.ledger.updateOne(
+    filter, update, database.writeOptions);
+  if(result.matchedCount !== 1) {
+    throw new BedrockError(
+      'A ledger with the given storage ID does not exist.',
+      'NotFoundError', {storageId});
+  }
+}
+
+// finds the IDs of ledger storages that are not deleted for a ledger node
+async function _findStorageIds({ledgerNodeId}) {
+  const query = {
+    'ledger.ledgerNode': ledgerNodeId,
+    'meta.deleted': {
+      $exists: false
+    }
+  };
+  const projection = {_id: 0, id: 1};
+  const records = await database.collections.ledger.find(
+    query, {projection}).toArray();
+  return records.map(r => r.id);
+}
+
+// creates a LedgerStorage instance for a ledger storage record
+async function _getLedgerStorage(record) {
+  if(_isOutdated(record) &&
+    config['ledger-storage-mongodb'].migration.migrateOnGet) {
+    record = await _migrate(record);
+  }
+
+  // open the ledger collections
+  const {ledger} = record;
+  const {collections} = ledger;
+  await database.openCollections(Object.values(collections));
+
+  const lsOptions = {
+    blockCollection: database.collections[collections.block],
+    eventCollection: database.collections[collections.event],
+    ledgerNodeId: ledger.ledgerNode,
+    operationCollection: database.collections[collections.operation],
+    storageId: ledger.id,
+  };
+  const ledgerStorage = new LedgerStorage(lsOptions);
+  const {plugins} = ledger;
+  return _extendLedgerStorage({ledgerStorage, plugins});
+}
+
+// creates a lightweight description of a ledger storage record
+function _getLedgerDescriptor({ledger, meta}) {
+  return {
+    id: ledger.id,
+    ledgerNodeId: ledger.ledgerNode,
+    plugins: ledger.plugins,
+    meta
+  };
+}
+
+function _encodeContinuationToken({id}) {
+  return Buffer.from(JSON.stringify({id})).toString('base64');
+}
+
+function _decodeContinuationToken(continuationToken) {
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(continuationToken, 'base64').toString());
+  } catch(e) {
+    // handled below
+  }
+  if(!(token && typeof token.id === 'string')) {
+    throw new BedrockError(
+      'Invalid continuation token.', 'DataError',
+      {continuationToken, httpStatusCode: 400, public: true});
+  }
+  return token;
 }
 
 // storage plugins add indexes to collections by providing an
@@ -356,6 +1403,66 @@ async function _createPluginIndexes(
   }
 }
 
+// gets the index definitions declared by storage plugins without creating
+// the indexes
+async function _getPluginIndexes(
+  {blockCollection, eventCollection, operationCollection, plugins}) {
+  const indexes = [];
+  const options = {
+    createIndexes: async definitions => {
+      indexes.push(...definitions);
+    },
+    collections: {blockCollection, eventCollection, operationCollection}
+  };
+  for(const pluginName of plugins) {
+    const {api: pluginApi} = brLedgerNode.use(pluginName);
+    if(pluginApi.expandIndexes) {
+      await pluginApi.expandIndexes(options);
+    }
+  }
+  return indexes;
+}
+
+// storage plugins may drop the indexes they added to collections by
+// providing a `removeIndexes` method
+async function _removePluginIndexes(
+  {blockCollection, eventCollection, operationCollection, plugins}) {
+  const options = {
+    dropIndexes: _dropIndexes,
+    collections: {blockCollection, eventCollection, operationCollection}
+  };
+  for(const pluginName of plugins) {
+    let pluginApi;
+    try {
+      ({api: pluginApi} = brLedgerNode.use(pluginName));
+    } catch(e) {
+      // plugins that are no longer registered may still be detached
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      logger.debug('detaching unregistered plugin', {pluginName});
+      continue;
+    }
+    if(pluginApi.removeIndexes) {
+      await pluginApi.removeIndexes(options);
+    }
+  }
+}
+
+// drops indexes given an array of `{collection, name}`, indexes that do not
+// exist are ignored
+async function _dropIndexes(indexes) {
+  for(const {collection, name} of indexes) {
+    try {
+      await database.collections[collection].dropIndex(name);
+    } catch(e) {
+      if(e.code !== MDBE_INDEX_NOT_FOUND) {
+        throw e;
+      }
+    }
+  }
+}
+
 // NOTE: mutates `ledgerStorage`
 function _extendLedgerStorage({ledgerStorage, plugins}) {
   if(plugins.length === 0) {
@@ -0,0 +1,228 @@
+/*!
+ * Copyright (c) 2016-2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const database = require('bedrock-mongodb');
+
+// the schema versions (see `migrations.js`) that introduced core indexes;
+// core indexes that are not listed here are created by migration 1
+const CORE_INDEX_VERSIONS = new Map([
+  ['block.consensusDate.core.1', 2],
+  ['block.blockHeight.core.2', 3]
+]);
+
+/**
+ * Gets the definitions of the core indexes for the collections of a ledger
+ * storage.
+ *
+ * @param blockCollection - the name of the block collection.
+ * @param eventCollection - the name of the event collection.
+ * @param operationCollection - the name of the operation collection.
+ *
+ * @return an array of index definitions for `database.createIndexes`.
+ */
+exports.getCoreIndexes = (
+  {blockCollection, eventCollection, operationCollection}) => {
+  // indexes on block IDs, event IDs, and deleted flags
+  return [{
+    collection: eventCollection,
+    fields: {'meta.eventHash': 1},
+    options: {unique: true, background: false, name: 'event.eventHash.core.1'}
+  }, {
+    collection: eventCollection,
+    fields: {'meta.eventHash': 1, 'meta.blockHeight': 1},
+    options: {unique: true, background: false, name: 'event.eventHash.core.2',
+      partialFilterExpression: {'meta.consensus': true}
+    }
+  }, {
+    collection: eventCollection,
+    fields: {'meta.eventHash': 1, 'meta.consensus': 1},
+    options: {unique: true, background: false, name: 'event.eventHash.core.3'}
+  }, {
+    // LedgerEventStorage.getMany query by `blockHeight`
+    collection: eventCollection,
+    fields: {
+      'meta.blockHeight': 1, 'meta.eventHash': 1, 'meta.eventOrder': 1,
+      'meta.blockOrder': 1, 'event.basisBlockHeight': 1,
+      'event.ledgerConfiguration': 1, 'event.parentHash': 1, 'event.proof': 1,
+      'event.treeHash': 1, 'event.type': 1,
+    },
+    options: {
+      name: 'event.blockHeight.core.1', unique: false, background: false,
+      // when consensus is true, a blockHeight and blockOrder is assigned
+      partialFilterExpression: {'meta.consensus': true}
+    }
+  }, {
+    collection: eventCollection,
+    fields: {'meta.consensus': 1, 'event.type': 1, 'meta.blockHeight': 1,
+      'meta.blockOrder': 1},
+    options: {unique: true, background: false, name: 'event.consensus.core.1',
+      // when consensus is true, a blockHeight and blockOrder is assigned
+      partialFilterExpression: {'meta.consensus': true}
+    }
+  }, {
+    collection: eventCollection,
+    fields: {'meta.consensus': 1, 'event.type': 1},
+    options: {unique: false, background: false, name: 'event.consensus.core.2'}
+  }, {
+    collection: eventCollection,
+    fields: {'meta.blockHeight': 1, 'meta.effectiveConfiguration': 1},
+    options: {
+      name: 'event.effectiveConfiguration.core.1',
+      unique: true, background: false,
+      partialFilterExpression: {'meta.effectiveConfiguration': true}
+    }
+  }, {
+    collection: blockCollection,
+    fields: {id: 1},
+    options: {unique: true, background: false, name: 'block.id.core.1'}
+  }, {
+    collection: blockCollection,
+    fields: {'block.blockHeight': 1},
+    options: {
+      unique: false, background: false, name: 'block.blockHeight.core.1'
+    }
+  }, {
+    // only one consensus block per block height
+    collection: blockCollection,
+    fields: {'block.blockHeight': 1},
+    options: {
+      name: 'block.blockHeight.core.2', unique: true, background: false,
+      partialFilterExpression: {'meta.consensus': true}
+    }
+  }, {
+    collection: blockCollection,
+    fields: {'block.type': 1, 'block.blockHeight': 1},
+    options: {unique: false, background: false, name: 'block.type.core.1'}
+  }, {
+    collection: blockCollection,
+    fields: {'meta.blockHash': 1},
+    options: {unique: true, background: false, name: 'block.blockHash.core.1'}
+  }, {
+    collection: blockCollection,
+    fields: {'meta.consensus': 1, 'block.blockHeight': 1,
+      'block.previousBlockHash': 1},
+    options: {unique: true, background: false, name: 'block.consensus.core.1'}
+  }, {
+    // LedgerBlockStorage.getByDate and getRangeByDate queries
+    collection: blockCollection,
+    fields: {'meta.consensusDate': 1, 'block.blockHeight': 1},
+    options: {
+      name: 'block.consensusDate.core.1', unique: false, background: false,
+      partialFilterExpression: {'meta.consensus': true}
+    }
+  }, {
+    collection: operationCollection,
+    fields: {
+      'meta.eventHash': 1, 'meta.eventOrder': 1, 'meta.operationHash': 1
+    },
+    options: {
+      unique: true, background: false, name: 'operation.eventHash.core.1'
+    }
+  }, {
+    collection: operationCollection,
+    fields: {recordId: 1},
+    options: {
+      unique: false, background: false, name: 'operation.recordId.core.1'
+    }
+  }, {
+    collection: operationCollection,
+    fields: {'meta.operationHash': 1},
+    options: {
+      unique: false, background: false, name: 'operation.operationHash.core.1'
+    }
+  }];
+};
+
+/**
+ * Gets the schema version whose migration creates a core index.
+ *
+ * @param definition - the index definition.
+ *
+ * @return the schema version or `undefined` if the index is not a core
+ *   index.
+ */
+exports.getCoreIndexVersion = ({options: {name} = {}}) => {
+  const coreNames = exports.getCoreIndexes({})
+    .map(({options}) => options.name);
+  if(!coreNames.includes(name)) {
+    return undefined;
+  }
+  return CORE_INDEX_VERSIONS.get(name) || 1;
+};
+
+/**
+ * Gets the definitions of the core indexes introduced by a schema version,
+ * that is, the indexes created by the migration to that version.
+ *
+ * @param schemaVersion - the schema version.
+ * @param blockCollection - the name of the block collection.
+ * @param eventCollection - the name of the event collection.
+ * @param operationCollection - the name of the operation collection.
+ *
+ * @return an array of index definitions for `database.createIndexes`.
+ */
+exports.getCoreIndexesForVersion = ({schemaVersion, ...collections}) =>
+  exports.getCoreIndexes(collections).filter(
+    definition => exports.getCoreIndexVersion(definition) === schemaVersion);
+
+// create the core indexes for the collections of a ledger storage
+exports.createCoreIndexes = async collections => {
+  await database.createIndexes(exports.getCoreIndexes(collections));
+};
+
+/**
+ * Compares the declared indexes for a collection with its actual indexes.
+ * Indexes are matched by name; declared indexes without a name are given
+ * the default name MongoDB would assign them.
+ *
+ * @param declared - the index definitions as for `database.createIndexes`.
+ * @param actual - the indexes as returned by `collection.indexes()`.
+ *
+ * @return an object with:
+ *   missing - the declared indexes that do not exist.
+ *   extra - the actual indexes that are not declared.
+ *   mismatched - `{name, expected, actual}` for indexes with the same name
+ *     but different keys, `unique` or `partialFilterExpression`.
+ */
+exports.compareIndexes = ({declared, actual}) => {
+  const result = {missing: [], extra: [], mismatched: []};
+  const actualByName = new Map(
+    actual.filter(({name}) => name !== '_id_').map(i => [i.name, i]));
+  const declaredNames = new Set();
+  for(const definition of declared) {
+    const name = _getIndexName(definition);
+    declaredNames.add(name);
+    const index = actualByName.get(name);
+    if(!index) {
+      result.missing.push(definition);
+      continue;
+    }
+    const {fields, options = {}} = definition;
+    // key order is significant
+    const keysMatch = _.isEqual(
+      Object.entries(fields), Object.entries(index.key));
+    if(!keysMatch || !!options.unique !== !!index.unique ||
+      !_.isEqual(options.partialFilterExpression,
+        index.partialFilterExpression)) {
+      result.mismatched.push({name, expected: definition, actual: index});
+    }
+  }
+  for(const [name, index] of actualByName) {
+    if(!declaredNames.has(name)) {
+      result.extra.push(index);
+    }
+  }
+  return result;
+};
+
+// gets the name of a declared index
+function _getIndexName({fields, options = {}}) {
+  if(options.name) {
+    return options.name;
+  }
+  // default name assigned by MongoDB
+  return Object.entries(fields).map(([k, v]) => `${k}_${v}`).join('_');
+}
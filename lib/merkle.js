@@ -0,0 +1,115 @@
+/*!
+ * Merkle trees over the ordered event hashes of a block.
+ *
+ * Leaves and interior nodes are hashed with SHA-256 using different prefixes
+ * (0x00 for leaves, 0x01 for nodes) so that a node can not be passed off as
+ * a leaf. A node without a sibling at any level of the tree is carried up to
+ * the next level unchanged. Hashes are hex encoded.
+ *
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+/**
+ * Gets the Merkle root of a list of event hashes.
+ *
+ * @param hashes - the event hashes, in block order.
+ *
+ * @return the Merkle root or `null` if there are no event hashes.
+ */
+exports.getRoot = hashes => {
+  assert.arrayOfString(hashes, 'hashes');
+  if(hashes.length === 0) {
+    return null;
+  }
+  let level = hashes.map(_hashLeaf);
+  while(level.length > 1) {
+    level = _nextLevel(level);
+  }
+  return level[0].toString('hex');
+};
+
+/**
+ * Gets the inclusion proof for one of a list of event hashes.
+ *
+ * @param hashes - the event hashes, in block order.
+ * @param index - the index of the event hash to prove.
+ *
+ * @return an object with:
+ *   merkleRoot - the Merkle root.
+ *   proof - the sibling path from the leaf to the root, an array of
+ *     `{hash, position}` where `position` is the side of the sibling,
+ *     `'left'` or `'right'`.
+ */
+exports.getProof = ({hashes, index}) => {
+  assert.arrayOfString(hashes, 'hashes');
+  assert.number(index, 'index');
+  if(!(Number.isInteger(index) && index >= 0 && index < hashes.length)) {
+    throw new RangeError('"index" must be the index of a hash.');
+  }
+  const proof = [];
+  let level = hashes.map(_hashLeaf);
+  while(level.length > 1) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if(siblingIndex < level.length) {
+      proof.push({
+        hash: level[siblingIndex].toString('hex'),
+        position: siblingIndex < index ? 'left' : 'right'
+      });
+    }
+    level = _nextLevel(level);
+    index = Math.floor(index / 2);
+  }
+  return {merkleRoot: level[0].toString('hex'), proof};
+};
+
+/**
+ * Verifies that an event hash is included under a Merkle root.
+ *
+ * @param eventHash - the event hash.
+ * @param proof - the sibling path as returned by `getProof`.
+ * @param merkleRoot - the Merkle root, e.g. `meta.merkleRoot` of a block.
+ *
+ * @return `true` if the proof is valid, `false` if not.
+ */
+exports.verifyProof = ({eventHash, proof, merkleRoot}) => {
+  assert.string(eventHash, 'eventHash');
+  assert.arrayOfObject(proof, 'proof');
+  assert.string(merkleRoot, 'merkleRoot');
+  let node = _hashLeaf(eventHash);
+  for(const {hash, position} of proof) {
+    if(typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash) ||
+      !['left', 'right'].includes(position)) {
+      return false;
+    }
+    const sibling = Buffer.from(hash, 'hex');
+    node = position === 'left' ?
+      _hashNode(sibling, node) : _hashNode(node, sibling);
+  }
+  return node.toString('hex') === merkleRoot;
+};
+
+function _nextLevel(level) {
+  const next = [];
+  for(let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ?
+      _hashNode(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+function _hashLeaf(eventHash) {
+  return crypto.createHash('sha256')
+    .update(LEAF_PREFIX).update(eventHash, 'utf8').digest();
+}
+
+function _hashNode(left, right) {
+  return crypto.createHash('sha256')
+    .update(NODE_PREFIX).update(left).update(right).digest();
+}
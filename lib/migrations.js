@@ -0,0 +1,70 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _indexes = require('./indexes');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const {util: {BedrockError}} = bedrock;
+
+// ordered migration steps for ledger storages; each step brings a ledger
+// storage from the previous schema version to its `version`. Ledger storages
+// created before schema versions were recorded are at version 0.
+//
+// A step's `migrate` method is called with:
+//   collections - the block, event and operation collections.
+//   collectionNames - the names of the block, event and operation
+//     collections (`blockCollection`, `eventCollection` and
+//     `operationCollection`).
+//   logger - the module logger.
+// Steps must be idempotent as a step that was interrupted is run again.
+const migrations = [{
+  version: 1,
+  description: 'Create core indexes missing from older ledger storages.',
+  migrate: async ({collectionNames}) => {
+    // creating an index that already exists is a no-op
+    await _createCoreIndexes({schemaVersion: 1, collectionNames});
+  }
+}, {
+  version: 2,
+  description: 'Create the block consensus date index.',
+  migrate: async ({collectionNames}) => {
+    await _createCoreIndexes({schemaVersion: 2, collectionNames});
+  }
+}, {
+  version: 3,
+  description: 'Create the unique consensus block height index.',
+  migrate: async ({collections, collectionNames}) => {
+    // the index can not be created while more than one consensus block has
+    // the same height; those must be resolved (see `blocks.verifyChain`)
+    const duplicates = await collections.block.aggregate([
+      {$match: {'meta.consensus': true}},
+      {$group: {_id: '$block.blockHeight', count: {$sum: 1}}},
+      {$match: {count: {$gt: 1}}},
+      {$sort: {_id: 1}},
+      {$limit: 10}
+    ], {allowDiskUse: true}).toArray();
+    if(duplicates.length > 0) {
+      throw new BedrockError(
+        'More than one consensus block has the same block height.',
+        'InvalidStateError',
+        {blockHeights: duplicates.map(({_id}) => _id)});
+    }
+    await _createCoreIndexes({schemaVersion: 3, collectionNames});
+  }
+}];
+
+// the schema version of ledger storages created by this module
+exports.SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// gets the migration steps needed to bring a ledger storage from
+// `schemaVersion` to `SCHEMA_VERSION`
+exports.getMigrations = ({schemaVersion}) =>
+  migrations.filter(m => m.version > schemaVersion);
+
+// creates the core indexes introduced by a schema version
+async function _createCoreIndexes({schemaVersion, collectionNames}) {
+  await database.createIndexes(_indexes.getCoreIndexesForVersion(
+    {schemaVersion, ...collectionNames}));
+}
@@ -0,0 +1,123 @@
+/*!
+ * JSON Patch (RFC 6902) support for block and event meta updates.
+ *
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const jsonpatch = require('fast-json-patch');
+const {util: {BedrockError}} = bedrock;
+
+// the number of times a meta update is retried when the record is changed
+// concurrently
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Determines if a patch is a JSON Patch, as opposed to the legacy
+ * `{op, changes}` format. A patch that mixes both formats is invalid.
+ *
+ * @param patch - the patch.
+ * @param type - the type of record being patched, e.g. 'block'.
+ *
+ * @return `true` if the patch is a JSON Patch.
+ */
+exports.isJsonPatch = ({patch, type}) => {
+  if(!Array.isArray(patch)) {
+    throw new TypeError('"patch" must be an array.');
+  }
+  const jsonPatch = patch.filter(op => op && typeof op.path === 'string');
+  if(jsonPatch.length > 0 && jsonPatch.length !== patch.length) {
+    throw new BedrockError(
+      `Invalid ${type} patch; JSON Patch operations may not be mixed with ` +
+      'legacy operations.', 'DataError', {patch});
+  }
+  return jsonPatch.length > 0;
+};
+
+/**
+ * Validates a JSON Patch that may only change fields in `meta` other than
+ * the given protected fields.
+ *
+ * @param patch - the JSON Patch.
+ * @param type - the type of record being patched, e.g. 'block'.
+ * @param protectedFields - the meta fields that may not be changed.
+ */
+exports.validate = ({patch, type, protectedFields}) => {
+  const error = jsonpatch.validate(patch);
+  if(error) {
+    throw new BedrockError(
+      `Invalid ${type} patch; ${error.message.split('\n')[0]}`,
+      'DataError', {operation: error.operation, index: error.index}, error);
+  }
+  for(const operation of patch) {
+    for(const path of [operation.path, operation.from]) {
+      if(path === undefined) {
+        continue;
+      }
+      const [root, field] = path.split('/').slice(1);
+      // `test` operations may read protected fields
+      if(root !== 'meta' || field === undefined ||
+        (operation.op !== 'test' && protectedFields.includes(field))) {
+        throw new BedrockError(
+          `Only ${type} meta can be updated.`,
+          'NotAllowedError', {operation, protectedFields});
+      }
+    }
+  }
+};
+
+/**
+ * Applies a validated JSON Patch to the `meta` of a record. The record is
+ * read, patched and written back only if its `meta` has not changed in the
+ * meantime (otherwise the patch is applied again to the new `meta`).
+ *
+ * @param collection - the collection with the record.
+ * @param filter - the filter that identifies the record.
+ * @param patch - the JSON Patch.
+ * @param type - the type of record being patched, e.g. 'block'.
+ * @param [session] - a MongoDB client session with a transaction in
+ *   progress to perform the update in.
+ *
+ * @return a Promise that resolves to the new `meta` or `null` if no record
+ *   matches the filter.
+ */
+exports.updateMeta = async ({collection, filter, patch, type, session}) => {
+  for(let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; ++attempt) {
+    const record = await collection.findOne(
+      filter, {projection: {_id: 0, meta: 1}, session});
+    if(!record) {
+      return null;
+    }
+    let meta;
+    try {
+      // the patch is applied to a copy of `meta` that keeps its BSON types
+      // (e.g. Date, Binary, Long); `applyPatch` would otherwise copy it via
+      // JSON, changing the types of fields the patch does not touch
+      ({meta} = jsonpatch.applyPatch(
+        {meta: _.cloneDeep(record.meta)}, patch, true, true).newDocument);
+    } catch(e) {
+      if(e.name === 'TEST_OPERATION_FAILED') {
+        throw new BedrockError(
+          `Could not update ${type}; patch test operation failed.`,
+          'InvalidStateError', {operation: e.operation}, e);
+      }
+      throw new BedrockError(
+        `Could not update ${type}; invalid patch.`,
+        'DataError', {operation: e.operation}, e);
+    }
+    meta.updated = Date.now();
+    const result = await collection.updateOne(
+      {...filter, meta: record.meta}, {$set: {meta}},
+      // NOTE: write concern is set by the transaction when using a session
+      session ? {session} : database.writeOptions);
+    if(result.matchedCount === 1) {
+      return meta;
+    }
+  }
+  throw new BedrockError(
+    `Could not update ${type}; it is being changed concurrently.`,
+    'InvalidStateError', {filter});
+};
@@ -4,12 +4,17 @@
 'use strict';
 
 const BSON = require('bson');
+const database = require('bedrock-mongodb');
 
 const MAX_CHUNK_SIZE = 250;
 // max MongoDB document size leaving 5% for data structure overhead, see:
 // https://github.com/digitalbazaar/bedrock-ledger-storage-mongodb/issues/47
 const MAX_BATCH_SIZE_BYTES = Math.round(1024 * 1024 * 16 * .95);
 
+// whether or not the MongoDB deployment is a replica set or sharded cluster;
+// determined on first use
+let _replicated;
+
 exports.chunkDocuments = documents => {
   const chunks = [];
   let chunk = [];
@@ -36,3 +41,16 @@ exports.chunkDocuments = documents => {
 };
 
 exports.hasValue = (obj, key, value) => [].concat(obj[key]).includes(value);
+
+// transactions and change streams require a replica set or a sharded
+// cluster
+exports.supportsTransactions = () => _isReplicated();
+exports.supportsChangeStreams = () => _isReplicated();
+
+async function _isReplicated() {
+  if(_replicated === undefined) {
+    const {setName, msg} = await database.db.command({isMaster: 1});
+    _replicated = !!setName || msg === 'isdbgrid';
+  }
+  return _replicated;
+}
@@ -0,0 +1,285 @@
+/*!
+ * Ledger storage change notifications.
+ *
+ * Changes to the block, event and operation collections of a ledger storage
+ * are produced as normalized notifications:
+ *
+ *   {type: 'block', operationType: 'insert', record: {block, meta},
+ *     resumeToken}
+ *
+ * MongoDB change streams are used when the deployment is a replica set or a
+ * sharded cluster, otherwise the collections are tail-polled for inserted
+ * documents.
+ *
+ * An `_id` is generated by the process that inserts the document, so a
+ * document may be inserted after another document with a later `_id` (e.g.
+ * by another process or by concurrent inserts). Tail-polling therefore
+ * re-scans an overlap window of `_id`s before the last one seen (see
+ * `config['ledger-storage-mongodb'].watch.overlapWindow`) and reports the
+ * documents in it that were not seen yet. When resuming from a resume token,
+ * the documents in the window before the token are treated as seen, so a
+ * document inserted late while nothing was watching is not reported.
+ *
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const _util = require('./util');
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const {ObjectId} = require('bson');
+const {promisify} = require('util');
+const {config, util: {BedrockError}} = bedrock;
+
+const delay = promisify(setTimeout);
+
+const TYPES = ['block', 'event', 'operation'];
+const OPERATION_TYPES = ['insert', 'update', 'replace', 'delete'];
+
+/**
+ * Creates an async iterator of change notifications for a ledger storage.
+ * The point in time to watch from (now or the given resume token) is
+ * established before the iterator is returned.
+ *
+ * @param ledgerStorage - the LedgerStorage to watch.
+ * @param [types] - the types of records to watch.
+ * @param [resumeToken] - a token from a previous notification to resume
+ *   watching after.
+ * @param [pollInterval] - the time (ms) between polls when tail-polling.
+ *
+ * @return a Promise that resolves to an async iterator of notifications.
+ */
+exports.createWatchIterator = async ({
+  ledgerStorage, types = TYPES, resumeToken,
+  pollInterval = config['ledger-storage-mongodb'].watch.pollInterval
+}) => {
+  assert.arrayOfString(types, 'types');
+  assert.optionalString(resumeToken, 'resumeToken');
+  assert.number(pollInterval, 'pollInterval');
+  if(types.length === 0 || !types.every(t => TYPES.includes(t))) {
+    throw new TypeError(
+      `"types" must be a non-empty array of: ${TYPES.join(', ')}.`);
+  }
+  const watchTypes = TYPES.filter(t => types.includes(t));
+
+  const collections = {
+    block: ledgerStorage.blocks.collection,
+    event: ledgerStorage.events.collection,
+    operation: ledgerStorage.operations.collection
+  };
+  const token = resumeToken ? _decodeResumeToken(resumeToken) : null;
+  const changeStreams = await _util.supportsChangeStreams();
+  if(token && (token.mode === 'changeStream') !== changeStreams) {
+    throw new BedrockError(
+      'The resume token is not supported by this MongoDB deployment.',
+      'DataError', {resumeToken, httpStatusCode: 400, public: true});
+  }
+
+  let lastResumeToken = resumeToken || null;
+  let iterator;
+  if(changeStreams) {
+    const typesByCollection = {};
+    for(const type of watchTypes) {
+      typesByCollection[collections[type].collectionName] = type;
+    }
+    const options = {fullDocument: 'updateLookup'};
+    if(token) {
+      options.resumeAfter = token.id;
+    } else {
+      // watch from now rather than from when the stream is first read
+      const {operationTime} = await database.db.command({isMaster: 1});
+      options.startAtOperationTime = operationTime;
+    }
+    iterator = _watchChangeStream({typesByCollection, options});
+  } else {
+    const lastIds = {};
+    const seen = {};
+    for(const type of watchTypes) {
+      if(token && token.ids[type]) {
+        lastIds[type] = new ObjectId(token.ids[type]);
+      } else {
+        lastIds[type] = await _getLastId(collections[type]);
+      }
+      seen[type] = await _getSeenIds(
+        {collection: collections[type], lastId: lastIds[type]});
+    }
+    iterator = _poll({collections, lastIds, seen, pollInterval});
+  }
+
+  async function* generate() {
+    for await (const notification of iterator) {
+      lastResumeToken = notification.resumeToken;
+      yield notification;
+    }
+  }
+
+  const watcher = generate();
+  Object.defineProperty(watcher, 'resumeToken', {
+    get() {
+      return lastResumeToken;
+    }
+  });
+  return watcher;
+};
+
+async function* _watchChangeStream({typesByCollection, options}) {
+  const pipeline = [{
+    $match: {
+      'ns.db': database.db.databaseName,
+      'ns.coll': {$in: Object.keys(typesByCollection)},
+      operationType: {$in: OPERATION_TYPES}
+    }
+  }];
+  const stream = database.db.watch(pipeline, options);
+  try {
+    while(true) {
+      const change = await stream.next();
+      const {_id: id, fullDocument, ns: {coll}, operationType} = change;
+      yield {
+        type: typesByCollection[coll],
+        operationType,
+        record: fullDocument ? _toRecord(fullDocument) : null,
+        resumeToken: _encodeResumeToken({mode: 'changeStream', id})
+      };
+    }
+  } finally {
+    await stream.close();
+  }
+}
+
+async function* _poll({collections, lastIds, seen, pollInterval}) {
+  const {batchSize} = config['ledger-storage-mongodb'].watch;
+  while(true) {
+    let found = false;
+    for(const type of Object.keys(lastIds)) {
+      const collection = collections[type];
+      // page through the `_id`s from the start of the overlap window and
+      // read the documents that were not seen yet
+      let query = _getWindowQuery(lastIds[type]);
+      while(true) {
+        const ids = (await collection.find(query, {projection: {_id: 1}})
+          .sort({_id: 1})
+          .limit(batchSize)
+          .toArray()).map(({_id}) => _id);
+        const unseen = ids.filter(id => !seen[type].has(id.toHexString()));
+        const records = unseen.length === 0 ? [] : await collection.find(
+          {_id: {$in: unseen}}).sort({_id: 1}).toArray();
+        for(const record of records) {
+          found = true;
+          seen[type].set(record._id.toHexString(), _getTime(record._id));
+          if(!lastIds[type] ||
+            record._id.toHexString() > lastIds[type].toHexString()) {
+            lastIds[type] = record._id;
+          }
+          const tokenIds = {};
+          for(const [t, id] of Object.entries(lastIds)) {
+            tokenIds[t] = id ? id.toHexString() : null;
+          }
+          yield {
+            type,
+            operationType: 'insert',
+            record: _toRecord(record),
+            resumeToken: _encodeResumeToken({mode: 'poll', ids: tokenIds})
+          };
+        }
+        if(ids.length < batchSize) {
+          break;
+        }
+        query = {_id: {$gt: ids[ids.length - 1]}};
+      }
+      _pruneSeenIds({seen: seen[type], lastId: lastIds[type]});
+    }
+    if(!found) {
+      await delay(pollInterval);
+    }
+  }
+}
+
+// gets the query for the `_id`s in the overlap window before `lastId`
+function _getWindowQuery(lastId) {
+  if(!lastId) {
+    return {};
+  }
+  const {overlapWindow} = config['ledger-storage-mongodb'].watch;
+  const start = Math.max(
+    0, Math.floor((_getTime(lastId) - overlapWindow) / 1000));
+  // use the same `ObjectId` class as the driver
+  return {_id: {$gte: lastId.constructor.createFromTime(start)}};
+}
+
+// gets the `_id`s in the overlap window up to and including `lastId` as a
+// map of hex `_id` to its time (ms)
+async function _getSeenIds({collection, lastId}) {
+  const seen = new Map();
+  if(!lastId) {
+    return seen;
+  }
+  const {_id: window} = _getWindowQuery(lastId);
+  const cursor = collection.find(
+    {_id: {...window, $lte: lastId}}, {projection: {_id: 1}});
+  try {
+    while(await cursor.hasNext()) {
+      const {_id: id} = await cursor.next();
+      seen.set(id.toHexString(), _getTime(id));
+    }
+  } finally {
+    await cursor.close();
+  }
+  return seen;
+}
+
+// forgets the `_id`s that are before the overlap window
+function _pruneSeenIds({seen, lastId}) {
+  if(!lastId) {
+    return;
+  }
+  const {overlapWindow} = config['ledger-storage-mongodb'].watch;
+  // `_id` times have a resolution of a second
+  const start = _getTime(lastId) - overlapWindow - 1000;
+  for(const [id, time] of seen) {
+    if(time < start) {
+      seen.delete(id);
+    }
+  }
+}
+
+// gets the time (ms) an `_id` was generated
+function _getTime(id) {
+  return id.getTimestamp().getTime();
+}
+
+async function _getLastId(collection) {
+  const [record] = await collection.find({}, {projection: {_id: 1}})
+    .sort({_id: -1})
+    .limit(1)
+    .toArray();
+  return record ? record._id : null;
+}
+
+// drops the MongoDB `_id`, the hashed block `id` and the block's recorded
+// event hashes from a document
+function _toRecord(document) {
+  return _.omit(document, ['_id', 'eventHash', 'id']);
+}
+
+function _encodeResumeToken(token) {
+  return Buffer.from(JSON.stringify(token)).toString('base64');
+}
+
+function _decodeResumeToken(resumeToken) {
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(resumeToken, 'base64').toString());
+  } catch(e) {
+    // handled below
+  }
+  if(!(token && ((token.mode === 'changeStream' && token.id) ||
+    (token.mode === 'poll' && token.ids)))) {
+    throw new BedrockError(
+      'Invalid resume token.', 'DataError',
+      {resumeToken, httpStatusCode: 400, public: true});
+  }
+  return token;
+}
@@ -5,6 +5,8 @@
 
 const blsMongodb = require('bedrock-ledger-storage-mongodb');
 const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
 const {util: {uuid}} = require('bedrock');
 const testOwner = 'https://example.com/i/testOwner';
 
@@ -101,6 +103,268 @@ describe('Ledger Storage API', function() {
     }
     ledgerCount.should.equal(3);
   });
+  describe('update API', () => {
+    it('should update ledger meta', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add({}, {ledgerNodeId});
+      const patch = [
+        {op: 'add', path: '/meta/labels', value: ['alpha']},
+        {op: 'add', path: '/meta/owner', value: {id: testOwner}}
+      ];
+      const meta = await blsMongodb.update(
+        storageId, {patch, expectedSequence: 0});
+      meta.sequence.should.equal(1);
+      meta.labels.should.eql(['alpha']);
+      meta.owner.id.should.equal(testOwner);
+
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      record.meta.should.eql(meta);
+
+      const result = [];
+      for await (const {id} of blsMongodb.iterateLedgers(
+        {ledgerNodeId, meta: {labels: 'alpha', 'owner.id': testOwner}})) {
+        result.push(id);
+      }
+      result.should.eql([storageId]);
+    });
+    it('should only write the patched meta fields', async () => {
+      const {id: storageId} = await blsMongodb.add(
+        {flag: true, note: 'x'}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      // simulate a field managed by this module that changes between the
+      // read and the write of the update
+      const checkpoint = {blockHeight: 1, blockHash: 'foo'};
+      await database.collections.ledger.updateOne(
+        {id: storageId}, {$set: {'meta.chainCheckpoint': checkpoint}});
+      const patch = [
+        {op: 'remove', path: '/meta/flag'},
+        {op: 'add', path: '/meta/labels', value: ['alpha']}
+      ];
+      const meta = await blsMongodb.update(
+        storageId, {patch, expectedSequence: 0});
+      should.not.exist(meta.flag);
+      meta.labels.should.eql(['alpha']);
+      meta.note.should.equal('x');
+      meta.chainCheckpoint.should.eql(checkpoint);
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      record.meta.should.eql(meta);
+    });
+    it('should reject a stale sequence', async () => {
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const patch = [{op: 'add', path: '/meta/flag', value: true}];
+      await blsMongodb.update(storageId, {patch, expectedSequence: 0});
+      let err;
+      try {
+        await blsMongodb.update(storageId, {patch, expectedSequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+    it('should reject a failed test operation', async () => {
+      const {id: storageId} = await blsMongodb.add(
+        {flag: false}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const patch = [
+        {op: 'test', path: '/meta/flag', value: true},
+        {op: 'replace', path: '/meta/flag', value: false}
+      ];
+      let err;
+      try {
+        await blsMongodb.update(storageId, {patch, expectedSequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+    it('should not update fields outside of meta', async () => {
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      for(const path of ['/ledger/plugins', '/meta/created']) {
+        const patch = [{op: 'add', path, value: 'x'}];
+        let err;
+        try {
+          await blsMongodb.update(storageId, {patch, expectedSequence: 0});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      }
+    });
+  }); // end update API
+  describe('getByLedgerNodeId API', () => {
+    it('should get ledger by ledger node ID', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add({}, {ledgerNodeId});
+      const storage = await blsMongodb.getByLedgerNodeId(ledgerNodeId);
+      should.exist(storage);
+      should.exist(storage.blocks);
+      storage.id.should.equal(storageId);
+    });
+    it('should ignore deleted ledgers', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: deletedId} = await blsMongodb.add({}, {ledgerNodeId});
+      await blsMongodb.remove(deletedId);
+      const {id: storageId} = await blsMongodb.add({}, {ledgerNodeId});
+      const storage = await blsMongodb.getByLedgerNodeId(ledgerNodeId);
+      storage.id.should.equal(storageId);
+    });
+    it('should fail to get ledger for unknown ledger node', async () => {
+      let err;
+      try {
+        await blsMongodb.getByLedgerNodeId(`urn:uuid:${uuid()}`);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should fail if multiple ledgers match', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      await blsMongodb.add({}, {ledgerNodeId});
+      await blsMongodb.add({}, {ledgerNodeId});
+      let err;
+      try {
+        await blsMongodb.getByLedgerNodeId(ledgerNodeId);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      err.details.storageIds.should.have.length(2);
+    });
+    it('should not add a second unique ledger for a ledger node', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      await blsMongodb.add({}, {ledgerNodeId, unique: true});
+      let err;
+      try {
+        await blsMongodb.add({}, {ledgerNodeId, unique: true});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+    it('should add one of concurrent unique ledgers', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const results = await Promise.all([0, 1].map(() => blsMongodb.add(
+        {}, {ledgerNodeId, unique: true}).then(() => null, e => e)));
+      const errors = results.filter(e => e);
+      errors.should.have.length(1);
+      errors[0].name.should.equal('DuplicateError');
+      const storage = await blsMongodb.getByLedgerNodeId(ledgerNodeId);
+      should.exist(storage);
+    });
+    it('should add a unique ledger after removing one', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId, unique: true});
+      await blsMongodb.remove(storageId);
+      const storage = await blsMongodb.add({}, {ledgerNodeId, unique: true});
+      storage.id.should.not.equal(storageId);
+    });
+  }); // end getByLedgerNodeId API
+  describe('iterateLedgers API', () => {
+    it('should iterate over ledger descriptors', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const storageIds = [];
+      for(let i = 0; i < 3; ++i) {
+        const storage = await blsMongodb.add({}, {ledgerNodeId});
+        storageIds.push(storage.id);
+      }
+      const result = [];
+      for await (const descriptor of blsMongodb.iterateLedgers(
+        {ledgerNodeId})) {
+        should.not.exist(descriptor.blocks);
+        descriptor.ledgerNodeId.should.equal(ledgerNodeId);
+        should.exist(descriptor.meta.created);
+        result.push(descriptor.id);
+      }
+      result.should.have.members(storageIds);
+    });
+    it('should iterate over ledger storage instances', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add({}, {ledgerNodeId});
+      const result = [];
+      for await (const storage of blsMongodb.iterateLedgers(
+        {ledgerNodeId, storage: true})) {
+        should.exist(storage.blocks);
+        result.push(storage.id);
+      }
+      result.should.eql([storageId]);
+    });
+    it('should filter on deleted status', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: liveId} = await blsMongodb.add({}, {ledgerNodeId});
+      const {id: deletedId} = await blsMongodb.add({}, {ledgerNodeId});
+      await blsMongodb.remove(deletedId);
+      const live = [];
+      for await (const {id} of blsMongodb.iterateLedgers({ledgerNodeId})) {
+        live.push(id);
+      }
+      live.should.eql([liveId]);
+      const deleted = [];
+      for await (const {id} of blsMongodb.iterateLedgers(
+        {ledgerNodeId, deleted: true})) {
+        deleted.push(id);
+      }
+      deleted.should.eql([deletedId]);
+      const all = [];
+      for await (const {id} of blsMongodb.iterateLedgers(
+        {ledgerNodeId, deleted: 'any'})) {
+        all.push(id);
+      }
+      all.should.have.members([liveId, deletedId]);
+    });
+    it('should filter on created date', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      await blsMongodb.add({created: 1000, updated: 1000}, {ledgerNodeId});
+      const {id} = await blsMongodb.add(
+        {created: 3000, updated: 3000}, {ledgerNodeId});
+      const result = [];
+      for await (const descriptor of blsMongodb.iterateLedgers(
+        {ledgerNodeId, createdAfter: 2000, createdBefore: 4000})) {
+        result.push(descriptor.id);
+      }
+      result.should.eql([id]);
+    });
+    it('should resume with a continuation token', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const storageIds = [];
+      for(let i = 0; i < 5; ++i) {
+        const storage = await blsMongodb.add({}, {ledgerNodeId});
+        storageIds.push(storage.id);
+      }
+      const result = [];
+      let continuationToken;
+      do {
+        const iterator = blsMongodb.iterateLedgers(
+          {ledgerNodeId, limit: 2, batchSize: 1, continuationToken});
+        for await (const {id} of iterator) {
+          result.push(id);
+        }
+        ({continuationToken} = iterator);
+      } while(continuationToken);
+      result.should.have.length(5);
+      result.should.have.members(storageIds);
+    });
+    it('should fail with an invalid continuation token', async () => {
+      let err;
+      try {
+        const iterator = blsMongodb.iterateLedgers(
+          {continuationToken: 'INVALID'});
+        await iterator.next();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  }); // end iterateLedgers API
   it('should remove a ledger', async () => {
     const meta = {};
     const options = {
@@ -127,4 +391,410 @@ describe('Ledger Storage API', function() {
     should.not.exist(gone);
     err.name.should.equal('NotFoundError');
   });
+  describe('migrate API', () => {
+    it('should migrate an outdated ledger on get', async () => {
+      const meta = {};
+      const options = {ledgerNodeId: `urn:uuid:${uuid()}`};
+      const storage = await blsMongodb.add(meta, options);
+      const {id: storageId} = storage;
+      // simulate a ledger created before schema versions and the
+      // effective configuration index were introduced
+      await storage.events.collection.dropIndex(
+        'event.effectiveConfiguration.core.1');
+      await database.collections.ledger.updateOne(
+        {id: storageId}, {$unset: {'ledger.schemaVersion': ''}});
+
+      await blsMongodb.get(storageId);
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      record.ledger.schemaVersion.should.be.a('number');
+      record.ledger.schemaVersion.should.be.at.least(1);
+      should.not.exist(record.meta.migration);
+      const exists = await storage.events.collection.indexExists(
+        'event.effectiveConfiguration.core.1');
+      exists.should.be.true;
+    });
+    it('should migrate an outdated ledger explicitly', async () => {
+      const meta = {};
+      const options = {ledgerNodeId: `urn:uuid:${uuid()}`};
+      const storage = await blsMongodb.add(meta, options);
+      const record = await database.collections.ledger.findOne(
+        {id: storage.id});
+      const {schemaVersion} = record.ledger;
+      await database.collections.ledger.updateOne(
+        {id: storage.id}, {$set: {'ledger.schemaVersion': 0}});
+      const result = await blsMongodb.migrate(storage.id);
+      result.should.equal(schemaVersion);
+    });
+    it('should create the block consensus date index', async () => {
+      const meta = {};
+      const options = {ledgerNodeId: `urn:uuid:${uuid()}`};
+      const storage = await blsMongodb.add(meta, options);
+      await storage.blocks.collection.dropIndex('block.consensusDate.core.1');
+      await database.collections.ledger.updateOne(
+        {id: storage.id}, {$set: {'ledger.schemaVersion': 1}});
+      const result = await blsMongodb.migrate(storage.id);
+      result.should.be.at.least(2);
+      const exists = await storage.blocks.collection.indexExists(
+        'block.consensusDate.core.1');
+      exists.should.be.true;
+    });
+    it('should only create the indexes of outstanding migrations',
+      async () => {
+        const storage = await blsMongodb.add(
+          {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+        await storage.blocks.collection.dropIndex(
+          'block.consensusDate.core.1');
+        await storage.events.collection.dropIndex(
+          'event.effectiveConfiguration.core.1');
+        await database.collections.ledger.updateOne(
+          {id: storage.id}, {$set: {'ledger.schemaVersion': 1}});
+        await blsMongodb.migrate(storage.id);
+        const report = await blsMongodb.verifyIndexes(storage.id);
+        report.valid.should.be.false;
+        report.collections.block.missing.should.have.length(0);
+        // the index created by migration 1 is not created again
+        report.collections.event.missing.map(
+          ({options: {name}, schemaVersion}) => ({name, schemaVersion}))
+          .should.eql([{
+            name: 'event.effectiveConfiguration.core.1', schemaVersion: 1
+          }]);
+      });
+    it('should create the unique consensus block height index', async () => {
+      const storage = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      await storage.blocks.collection.dropIndex('block.blockHeight.core.2');
+      await database.collections.ledger.updateOne(
+        {id: storage.id}, {$set: {'ledger.schemaVersion': 2}});
+      const result = await blsMongodb.migrate(storage.id);
+      result.should.be.at.least(3);
+      const exists = await storage.blocks.collection.indexExists(
+        'block.blockHeight.core.2');
+      exists.should.be.true;
+    });
+    it('should not migrate a ledger with duplicate consensus block heights',
+      async () => {
+        const storage = await blsMongodb.add(
+          {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+        await storage.blocks.collection.dropIndex('block.blockHeight.core.2');
+        await database.collections.ledger.updateOne(
+          {id: storage.id}, {$set: {'ledger.schemaVersion': 2}});
+        await storage.blocks.collection.insertMany([0, 1].map(() => ({
+          id: uuid(),
+          block: {blockHeight: 1, previousBlockHash: uuid()},
+          meta: {blockHash: uuid(), consensus: true}
+        })));
+        let err;
+        try {
+          await blsMongodb.migrate(storage.id);
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('InvalidStateError');
+        err.details.blockHeights.should.eql([1]);
+        const record = await database.collections.ledger.findOne(
+          {id: storage.id});
+        record.ledger.schemaVersion.should.equal(2);
+        await blsMongodb.remove(storage.id);
+      });
+    it('should take over an expired migration lock', async () => {
+      const meta = {};
+      const options = {ledgerNodeId: `urn:uuid:${uuid()}`};
+      const storage = await blsMongodb.add(meta, options);
+      await database.collections.ledger.updateOne({id: storage.id}, {
+        $set: {
+          'ledger.schemaVersion': 0,
+          'meta.migration': {lockId: uuid(), expires: Date.now() - 1}
+        }
+      });
+      const result = await blsMongodb.migrate(storage.id);
+      result.should.be.at.least(1);
+    });
+  }); // end migrate API
+  describe('verifyIndexes API', () => {
+    it('should verify the indexes of a new ledger', async () => {
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const report = await blsMongodb.verifyIndexes(storageId);
+      report.valid.should.be.true;
+      report.repaired.should.be.false;
+      for(const type of ['block', 'event', 'operation']) {
+        const result = report.collections[type];
+        should.exist(result);
+        result.missing.should.have.length(0);
+        result.extra.should.have.length(0);
+        result.mismatched.should.have.length(0);
+      }
+    });
+    it('should detect and repair index drift', async () => {
+      const storage = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const {id: storageId} = storage;
+      const {collection: eventCollection} = storage.events;
+      const {collection: blockCollection} = storage.blocks;
+      await eventCollection.dropIndex('event.consensus.core.1');
+      await blockCollection.dropIndex('block.id.core.1');
+      // same name, different keys
+      await blockCollection.createIndex(
+        {'block.id': 1}, {name: 'block.id.core.1'});
+      await blockCollection.createIndex({'meta.extra': 1}, {name: 'extra'});
+
+      let report = await blsMongodb.verifyIndexes(storageId);
+      report.valid.should.be.false;
+      report.collections.event.missing.map(i => i.options.name)
+        .should.eql(['event.consensus.core.1']);
+      report.collections.block.mismatched.map(i => i.name)
+        .should.eql(['block.id.core.1']);
+      report.collections.block.extra.map(i => i.name)
+        .should.eql(['extra']);
+
+      report = await blsMongodb.verifyIndexes(storageId, {repair: true});
+      report.valid.should.be.false;
+      report.repaired.should.be.true;
+
+      report = await blsMongodb.verifyIndexes(storageId);
+      report.valid.should.be.true;
+      report.collections.block.extra.should.have.length(1);
+    });
+  }); // end verifyIndexes API
+  describe('getStats API', () => {
+    it('should get stats for an empty ledger', async () => {
+      const storage = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const stats = await storage.getStats();
+      stats.id.should.equal(storage.id);
+      should.equal(stats.latestBlockHeight, null);
+      for(const type of ['blocks', 'events', 'operations']) {
+        stats[type].count.should.equal(0);
+        stats[type].indexSizes.should.be.an('object');
+      }
+      stats.operations.byType.should.eql({});
+    });
+    it('should get stats for a ledger', async () => {
+      const storage = await blsMongodb.add(
+        {}, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: mockData.eventBlocks.alpha,
+        eventTemplate: mockData.events.alpha,
+        opTemplate: mockData.operations.alpha,
+        blockNum: 2
+      });
+      await storage.operations.addMany({operations});
+      await storage.events.addMany({events});
+      for(const block of blocks) {
+        await storage.blocks.add(block);
+      }
+      await helpers.addEvent({
+        eventTemplate: mockData.events.alpha, ledgerStorage: storage,
+        opTemplate: mockData.operations.alpha
+      });
+
+      const stats = await storage.getStats();
+      stats.latestBlockHeight.should.equal(2);
+      stats.blocks.count.should.equal(2);
+      stats.blocks.size.should.be.above(0);
+      should.exist(stats.blocks.indexSizes['block.blockHash.core.1']);
+      stats.events.count.should.equal(3);
+      stats.events.consensus.should.equal(2);
+      stats.events.nonConsensus.should.equal(1);
+      stats.operations.count.should.equal(3);
+      stats.operations.byType.should.eql({CreateWebLedgerRecord: 3});
+
+      const totals = await blsMongodb.getStats();
+      totals.ledgers.should.be.at.least(1);
+      totals.events.count.should.be.at.least(3);
+      totals.operations.byType.CreateWebLedgerRecord.should.be.at.least(3);
+    });
+  }); // end getStats API
+  describe('restore API', () => {
+    it('should restore a removed ledger', async () => {
+      const meta = {label: 'restore'};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      const {id: storageId} = storage;
+      const before = await database.collections.ledger.findOne(
+        {id: storageId});
+      await blsMongodb.remove(storageId);
+      const restored = await blsMongodb.restore(storageId);
+      should.exist(restored);
+      restored.id.should.equal(storageId);
+      should.exist(restored.blocks);
+
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      should.not.exist(record.meta.deleted);
+      record.meta.created.should.equal(before.meta.created);
+      record.meta.label.should.equal('restore');
+      await blsMongodb.get(storageId);
+    });
+    it('should fail to restore a ledger that is not deleted', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      let err;
+      try {
+        await blsMongodb.restore(storage.id);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should fail to restore a purged ledger', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      await blsMongodb.remove(storage.id);
+      await blsMongodb.purge(storage.id, {gracePeriod: 0});
+      let err;
+      try {
+        await blsMongodb.restore(storage.id);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+    it('should restore a unique ledger as unique', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId, unique: true});
+      await blsMongodb.remove(storageId);
+      await blsMongodb.restore(storageId);
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      record.uniqueLedgerNode.should.equal(ledgerNodeId);
+      should.not.exist(record.meta.uniqueLedgerNode);
+    });
+    it('should not restore a unique ledger over another', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const {id: storageId} = await blsMongodb.add(
+        {}, {ledgerNodeId, unique: true});
+      await blsMongodb.remove(storageId);
+      const other = await blsMongodb.add({}, {ledgerNodeId, unique: true});
+      let err;
+      try {
+        await blsMongodb.restore(storageId);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      // the ledger storage is still deleted
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      should.exist(record.meta.deleted);
+      const storage = await blsMongodb.getByLedgerNodeId(ledgerNodeId);
+      storage.id.should.equal(other.id);
+    });
+  }); // end restore API
+  describe('purge API', () => {
+    it('should purge a deleted ledger', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      const {id: storageId} = storage;
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      await blsMongodb.remove(storageId);
+      await blsMongodb.purge(storageId, {gracePeriod: 0});
+
+      const purged = await database.collections.ledger.findOne(
+        {id: storageId});
+      should.exist(purged.meta.purged);
+      should.exist(purged.meta.purge);
+      purged.meta.purge.collections.should.have.members(
+        Object.values(record.ledger.collections));
+      for(const name of Object.values(record.ledger.collections)) {
+        const collections = await database.db.listCollections({name})
+          .toArray();
+        collections.should.have.length(0);
+      }
+    });
+    it('should resume an interrupted purge', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      const {id: storageId} = storage;
+      await blsMongodb.remove(storageId);
+      // simulate a purge that stopped after dropping the block collection
+      const blockCollection = storage.blocks.collection.collectionName;
+      await storage.blocks.collection.drop();
+      await database.collections.ledger.updateOne({id: storageId}, {
+        $set: {'meta.purge': {started: Date.now(), collections: []}}
+      });
+      await blsMongodb.purge(storageId, {gracePeriod: 0});
+      const record = await database.collections.ledger.findOne(
+        {id: storageId});
+      should.exist(record.meta.purged);
+      record.meta.purge.collections.should.include(blockCollection);
+    });
+    it('should not purge a ledger during its grace period', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      await blsMongodb.remove(storage.id);
+      let err;
+      try {
+        await blsMongodb.purge(storage.id);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+    it('should fail to purge a ledger that is not deleted', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      let err;
+      try {
+        await blsMongodb.purge(storage.id, {gracePeriod: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should purge ledgers deleted before the grace period', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: 'did:v1:' + uuid(),
+        ledgerNodeId: `urn:uuid:${uuid()}`,
+      };
+      const storage = await blsMongodb.add(meta, options);
+      await blsMongodb.remove(storage.id);
+      // backdate the deletion so that the grace period below only covers
+      // this ledger and not those deleted by other tests in the database
+      await database.collections.ledger.updateOne(
+        {id: storage.id}, {$set: {'meta.deleted': 0}});
+      const result = await blsMongodb.purgeDeleted({gracePeriod: Date.now()});
+      result.should.eql([storage.id]);
+      const record = await database.collections.ledger.findOne(
+        {id: storage.id});
+      should.exist(record.meta.purged);
+    });
+  }); // end purge API
 });
@@ -0,0 +1,184 @@
+/*!
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const blsMongodb = require('bedrock-ledger-storage-mongodb');
+const database = require('bedrock-mongodb');
+const helpers = require('./helpers');
+const mockData = require('./mock.data');
+const {Readable} = require('stream');
+const {util: {uuid}} = bedrock;
+
+const exampleLedgerId = `did:v1:${uuid()}`;
+const configEventTemplate = bedrock.util.clone(mockData.events.config);
+configEventTemplate.ledgerConfiguration.ledger = exampleLedgerId;
+
+const configBlockTemplate = bedrock.util.clone(mockData.configBlocks.alpha);
+configBlockTemplate.id = exampleLedgerId + '/blocks/1';
+
+const eventBlockTemplate = bedrock.util.clone(mockData.eventBlocks.alpha);
+const opTemplate = mockData.operations.alpha;
+
+describe('Ledger Archive API', () => {
+  let ledgerStorage;
+
+  beforeEach(async () => {
+    const block = bedrock.util.clone(configBlockTemplate);
+    let meta = {label: 'archive'};
+    const options = {ledgerNodeId: `urn:uuid:${uuid()}`};
+
+    ledgerStorage = await blsMongodb.add(meta, options);
+    const eventHash = await helpers.testHasher(configEventTemplate);
+    const blockHash = await helpers.testHasher(block);
+    meta = {
+      blockHeight: 0,
+      blockOrder: 0,
+      consensus: true,
+      consensusDate: Date.now(),
+      eventHash,
+      effectiveConfiguration: true
+    };
+    await ledgerStorage.events.add({event: configEventTemplate, meta});
+    meta.blockHash = blockHash;
+    block.blockHeight = 0;
+    block.event = [eventHash];
+    await ledgerStorage.blocks.add({block, meta});
+
+    const {blocks, events, operations} = await helpers.createBlocks({
+      blockTemplate: eventBlockTemplate,
+      eventTemplate: mockData.events.alpha,
+      blockNum: 3,
+      opTemplate,
+      previousBlockHash: blockHash
+    });
+    await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+    // a non-consensus event that must not be exported
+    await helpers.addEvent({
+      eventTemplate: mockData.events.alpha, ledgerStorage, opTemplate});
+  });
+
+  describe('export API', () => {
+    it('should export a ledger', async () => {
+      const items = await _readArchive(ledgerStorage.export());
+      const [header] = items;
+      header.type.should.equal('header');
+      header.version.should.equal(1);
+      header.storage.id.should.equal(ledgerStorage.id);
+      header.storage.meta.label.should.equal('archive');
+      const blocks = items.filter(({type}) => type === 'block');
+      blocks.map(({block}) => block.blockHeight).should.eql([0, 1, 2, 3]);
+      items.filter(({type}) => type === 'event').should.have.length(4);
+      items.filter(({type}) => type === 'operation').should.have.length(3);
+      for(const {meta} of items.filter(({type}) => type === 'event')) {
+        meta.consensus.should.be.true;
+      }
+    });
+    it('should export a range of blocks', async () => {
+      const items = await _readArchive(
+        ledgerStorage.export({fromBlockHeight: 1, toBlockHeight: 2}));
+      const blocks = items.filter(({type}) => type === 'block');
+      blocks.map(({block}) => block.blockHeight).should.eql([1, 2]);
+      items.filter(({type}) => type === 'event').should.have.length(2);
+    });
+  }); // end export API
+
+  describe('import API', () => {
+    it('should import a ledger', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const storage = await blsMongodb.import(
+        ledgerStorage.export(), {ledgerNodeId});
+      storage.id.should.not.equal(ledgerStorage.id);
+      const blockHeight = await storage.blocks.getLatestBlockHeight();
+      blockHeight.should.equal(3);
+      const count = await storage.events.getCount({consensus: true});
+      count.should.equal(4);
+      const {genesisBlock} = await storage.blocks.getGenesis();
+      genesisBlock.block.event.should.have.length(1);
+      const record = await database.collections.ledger.findOne(
+        {id: storage.id});
+      record.ledger.ledgerNode.should.equal(ledgerNodeId);
+      record.meta.label.should.equal('archive');
+      record.meta.imported.storageId.should.equal(ledgerStorage.id);
+    });
+    it('should fail to import blocks that are not linked', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const items = await _readArchive(ledgerStorage.export());
+      const block = items.find(
+        ({type, block}) => type === 'block' && block.blockHeight === 2);
+      block.block.previousBlockHash = 'INVALID';
+      const stream = Readable.from(
+        items.map(item => JSON.stringify(item) + '\n'));
+      let err;
+      try {
+        await blsMongodb.import(stream, {ledgerNodeId});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.details.blockHeight.should.equal(2);
+      // the partially imported storage is removed
+      const ledgers = [];
+      for await (const ledger of blsMongodb.iterateLedgers({ledgerNodeId})) {
+        ledgers.push(ledger);
+      }
+      ledgers.should.have.length(0);
+    });
+    it('should fail to import an invalid archive', async () => {
+      const stream = Readable.from(['{"type": "block"}\n']);
+      let err;
+      try {
+        await blsMongodb.import(stream, {ledgerNodeId: `urn:uuid:${uuid()}`});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  }); // end import API
+
+  describe('fork API', () => {
+    it('should fork a ledger at a block height', async () => {
+      const ledgerNodeId = `urn:uuid:${uuid()}`;
+      const storage = await blsMongodb.fork(
+        ledgerStorage.id, {blockHeight: 2, ledgerNodeId});
+      storage.id.should.not.equal(ledgerStorage.id);
+      const blockHeight = await storage.blocks.getLatestBlockHeight();
+      blockHeight.should.equal(2);
+      // only consensus events up to the block height are copied
+      const count = await storage.events.getCount();
+      count.should.equal(3);
+      const operationCount = await storage.operations.collection
+        .countDocuments({});
+      operationCount.should.equal(2);
+      const record = await database.collections.ledger.findOne(
+        {id: storage.id});
+      record.ledger.ledgerNode.should.equal(ledgerNodeId);
+      record.meta.label.should.equal('archive');
+      record.meta.fork.storageId.should.equal(ledgerStorage.id);
+      record.meta.fork.blockHeight.should.equal(2);
+    });
+    it('should fail to fork at a non-existent block height', async () => {
+      let err;
+      try {
+        await blsMongodb.fork(ledgerStorage.id, {
+          blockHeight: 100, ledgerNodeId: `urn:uuid:${uuid()}`
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end fork API
+});
+
+async function _readArchive(stream) {
+  let data = '';
+  for await (const chunk of stream) {
+    data += chunk;
+  }
+  return data.trim().split('\n').map(line => JSON.parse(line));
+}
@@ -8,8 +8,11 @@ const blsMongodb = require('bedrock-ledger-storage-mongodb');
 const database = require('bedrock-mongodb');
 const helpers = require('./helpers');
 const mockData = require('./mock.data');
+const {promisify} = require('util');
 const {util: {uuid}} = bedrock;
 
+const delay = promisify(setTimeout);
+
 const exampleLedgerId = `did:v1:${uuid()}`;
 const exampleLedgerNodeId = `urn:uuid:${uuid()}`;
 const configEventTemplate = bedrock.util.clone(mockData.events.config);
@@ -96,6 +99,213 @@ describe('Block Storage API', () => {
     });
   }); // end add API
 
+  describe('commitBlock API', () => {
+    let block;
+    let eventUpdates;
+    beforeEach(async () => {
+      const blockTemplate = eventBlockTemplate;
+      const eventTemplate = mockData.events.alpha;
+      const {operations, events, blocks} = await helpers.createBlocks(
+        {blockTemplate, eventTemplate, eventNum: 2, opTemplate});
+      await ledgerStorage.operations.addMany({operations});
+      // add the events without consensus, as they would be before commit
+      await ledgerStorage.events.addMany({
+        events: events.map(({event, meta: {eventHash}}) =>
+          ({event, meta: {eventHash}}))
+      });
+      eventUpdates = events.map(({meta}) => ({
+        eventHash: meta.eventHash,
+        patch: [{
+          op: 'set',
+          changes: {
+            meta: {
+              blockHeight: meta.blockHeight,
+              blockOrder: meta.blockOrder,
+              consensus: true,
+              consensusDate: meta.consensusDate
+            }
+          }
+        }]
+      }));
+      [block] = blocks;
+    });
+    it('should commit a block and its events', async () => {
+      const result = await ledgerStorage.commitBlock({...block, eventUpdates});
+      should.exist(result.block);
+      should.exist(result.meta);
+      const {eventBlock} = await ledgerStorage.blocks.getLatest();
+      eventBlock.meta.blockHash.should.equal(block.meta.blockHash);
+      const consensusHashes = await ledgerStorage.events.filterHashes({
+        consensus: true,
+        eventHash: eventUpdates.map(({eventHash}) => eventHash)
+      });
+      consensusHashes.should.have.length(2);
+      const journalCount = await database.collections.ledgerBlockJournal
+        .countDocuments({storageId: ledgerStorage.id});
+      journalCount.should.equal(0);
+    });
+    it('should not commit a block when events are not assigned', async () => {
+      let err;
+      try {
+        await ledgerStorage.commitBlock(
+          {...block, eventUpdates: eventUpdates.slice(1)});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      let blockErr;
+      try {
+        await ledgerStorage.blocks.get({blockId: block.block.id});
+      } catch(e) {
+        blockErr = e;
+      }
+      should.exist(blockErr);
+      blockErr.name.should.equal('NotFoundError');
+      // the events that were updated are back to non-consensus
+      const eventHashes = eventUpdates.map(({eventHash}) => eventHash);
+      const consensusHashes = await ledgerStorage.events.filterHashes(
+        {consensus: true, eventHash: eventHashes});
+      consensusHashes.should.have.length(0);
+      const records = await ledgerStorage.events.collection.find(
+        {'meta.eventHash': {$in: eventHashes}}).toArray();
+      records.should.have.length(2);
+      for(const {meta} of records) {
+        should.not.exist(meta.blockHeight);
+        should.not.exist(meta.consensus);
+      }
+      const journalCount = await database.collections.ledgerBlockJournal
+        .countDocuments({storageId: ledgerStorage.id});
+      journalCount.should.equal(0);
+    });
+    it('should not commit a block with JSON Patch event updates',
+      async () => {
+        const jsonPatchUpdates = eventUpdates.map(({eventHash}) => ({
+          eventHash,
+          patch: [{op: 'add', path: '/meta/consensus', value: true}]
+        }));
+        let err;
+        try {
+          await ledgerStorage.commitBlock(
+            {...block, eventUpdates: jsonPatchUpdates});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+        const consensusHashes = await ledgerStorage.events.filterHashes({
+          consensus: true,
+          eventHash: eventUpdates.map(({eventHash}) => eventHash)
+        });
+        consensusHashes.should.have.length(0);
+      });
+    it('should roll forward an interrupted commit', async () => {
+      // simulate a commit that was journaled before the process exited
+      await database.collections.ledgerBlockJournal.insertOne({
+        id: uuid(),
+        storageId: ledgerStorage.id,
+        blockHash: block.meta.blockHash,
+        block: block.block,
+        meta: block.meta,
+        eventUpdates,
+        claim: {owner: uuid(), expires: Date.now() - 1},
+        created: Date.now()
+      });
+      // the commit may also be rolled forward by the scheduled sweep
+      await blsMongodb.rollForwardCommits();
+      const {eventBlock} = await ledgerStorage.blocks.getLatest();
+      eventBlock.meta.blockHash.should.equal(block.meta.blockHash);
+      const journalCount = await database.collections.ledgerBlockJournal
+        .countDocuments({storageId: ledgerStorage.id});
+      journalCount.should.equal(0);
+    });
+    it('should not roll forward a commit claimed by a live process',
+      async () => {
+        // simulate a commit that another process is completing
+        const journalId = uuid();
+        await database.collections.ledgerBlockJournal.insertOne({
+          id: journalId,
+          storageId: ledgerStorage.id,
+          blockHash: block.meta.blockHash,
+          block: block.block,
+          meta: block.meta,
+          eventUpdates,
+          claim: {owner: uuid(), expires: Date.now() + 60000},
+          created: Date.now()
+        });
+        await blsMongodb.rollForwardCommits();
+        let err;
+        try {
+          await ledgerStorage.blocks.get({blockId: block.block.id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        const journalCount = await database.collections.ledgerBlockJournal
+          .countDocuments({id: journalId});
+        journalCount.should.equal(1);
+        await database.collections.ledgerBlockJournal.deleteOne(
+          {id: journalId});
+      });
+    it('should roll forward a commit once its claim expires', async () => {
+      // simulate a process that exited part way through a commit and was
+      // restarted before its claim expired
+      await database.collections.ledgerBlockJournal.insertOne({
+        id: uuid(),
+        storageId: ledgerStorage.id,
+        blockHash: block.meta.blockHash,
+        block: block.block,
+        meta: block.meta,
+        eventUpdates,
+        claim: {owner: uuid(), expires: Date.now() + 1000},
+        created: Date.now()
+      });
+      // the restarted process does not take over the live claim
+      await blsMongodb.rollForwardCommits();
+      const {eventBlock: latest} = await ledgerStorage.blocks.getLatest();
+      latest.meta.blockHash.should.not.equal(block.meta.blockHash);
+      // the scheduled sweep rolls the commit forward after the claim expires
+      let journalCount = 1;
+      for(let i = 0; journalCount > 0 && i < 50; ++i) {
+        await delay(200);
+        journalCount = await database.collections.ledgerBlockJournal
+          .countDocuments({storageId: ledgerStorage.id});
+      }
+      journalCount.should.equal(0);
+      const {eventBlock} = await ledgerStorage.blocks.getLatest();
+      eventBlock.meta.blockHash.should.equal(block.meta.blockHash);
+      const consensusHashes = await ledgerStorage.events.filterHashes({
+        consensus: true,
+        eventHash: eventUpdates.map(({eventHash}) => eventHash)
+      });
+      consensusHashes.should.have.length(2);
+    });
+    it('should skip a commit that fails to roll forward', async () => {
+      // the events in the block are never assigned to it
+      const journalId = uuid();
+      await database.collections.ledgerBlockJournal.insertOne({
+        id: journalId,
+        storageId: ledgerStorage.id,
+        blockHash: block.meta.blockHash,
+        block: block.block,
+        meta: block.meta,
+        eventUpdates: [],
+        claim: {owner: uuid(), expires: Date.now() - 1},
+        created: Date.now()
+      });
+      const count = await blsMongodb.rollForwardCommits();
+      count.should.equal(0);
+      // the entry is kept and claimed until it may be retried
+      const entry = await database.collections.ledgerBlockJournal.findOne(
+        {id: journalId});
+      should.exist(entry);
+      entry.claim.expires.should.be.above(Date.now());
+      await database.collections.ledgerBlockJournal.deleteOne(
+        {id: journalId});
+    });
+  }); // end commitBlock API
+
   describe('get API', () => {
     it('should get consensus block with given ID', async () => {
       const blockTemplate = eventBlockTemplate;
@@ -130,6 +340,716 @@ describe('Block Storage API', () => {
     });
   }); // end get API
 
+  describe('getByHash API', () => {
+    let blocks;
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: 3,
+        eventNum: 2,
+        opTemplate
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      ({blocks} = result);
+    });
+    it('should get a block by hash', async () => {
+      const {blockHash} = blocks[1].meta;
+      const result = await ledgerStorage.blocks.getByHash({blockHash});
+      result.meta.blockHash.should.equal(blockHash);
+      result.block.id.should.equal(blocks[1].block.id);
+      result.block.event.should.have.length(2);
+      result.block.event[0].type.should.equal('WebLedgerOperationEvent');
+    });
+    it('should get a block by hash without events', async () => {
+      const {blockHash} = blocks[1].meta;
+      const result = await ledgerStorage.blocks.getByHash(
+        {blockHash, includeEvents: false});
+      should.not.exist(result.block.event);
+    });
+    it('should get a block summary by hash', async () => {
+      const {blockHash} = blocks[2].meta;
+      const result = await ledgerStorage.blocks.getSummaryByHash(
+        {blockHash, eventHash: true});
+      should.not.exist(result.block.event);
+      result.block.eventHash.should.eql(blocks[2].block.event);
+    });
+    it('should fail to get a block with an unknown hash', async () => {
+      let err;
+      try {
+        await ledgerStorage.blocks.getByHash({blockHash: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should get many blocks by hash', async () => {
+      const blockHashes = [
+        blocks[2].meta.blockHash, 'unknown', blocks[0].meta.blockHash
+      ];
+      const {records, missing} = await ledgerStorage.blocks.getManyByHash(
+        blockHashes, {includeEvents: false});
+      records.map(({meta}) => meta.blockHash).should.eql(
+        [blocks[2].meta.blockHash, blocks[0].meta.blockHash]);
+      missing.should.eql(['unknown']);
+      should.not.exist(records[0].block.event);
+    });
+    it('should get many blocks by hash with events', async () => {
+      const blockHashes = blocks.map(({meta}) => meta.blockHash);
+      const {records, missing} = await ledgerStorage.blocks.getManyByHash(
+        blockHashes);
+      records.should.have.length(3);
+      missing.should.have.length(0);
+      for(const {block} of records) {
+        block.event.should.have.length(2);
+      }
+    });
+    it('should get the events of pending blocks by hash', async () => {
+      // two pending blocks at the height of a consensus block
+      const pending = [];
+      for(const eventNum of [1, 3]) {
+        const result = await helpers.createBlocks({
+          blockTemplate: eventBlockTemplate,
+          eventTemplate: mockData.events.alpha,
+          eventNum,
+          opTemplate,
+          startBlock: blocks[0].block.blockHeight
+        });
+        await ledgerStorage.operations.addMany(
+          {operations: result.operations});
+        await ledgerStorage.events.addMany({
+          events: result.events.map(({event, meta}) => ({
+            event,
+            meta: {
+              blockHeight: meta.blockHeight,
+              blockOrder: meta.blockOrder,
+              eventHash: meta.eventHash
+            }
+          }))
+        });
+        const [{block, meta}] = result.blocks;
+        meta.consensus = false;
+        delete meta.consensusDate;
+        await ledgerStorage.blocks.add({block, meta});
+        pending.push({block, meta, events: result.events});
+      }
+      const {records, missing} = await ledgerStorage.blocks.getManyByHash(
+        pending.map(({meta}) => meta.blockHash), {consensus: false});
+      missing.should.have.length(0);
+      records.should.have.length(2);
+      records.map(({block}) => block.event.length).should.eql([1, 3]);
+      // the consensus block at the same height keeps its own events
+      const {records: [record]} = await ledgerStorage.blocks.getManyByHash(
+        [blocks[0].meta.blockHash]);
+      record.block.event.should.have.length(2);
+    });
+    it('should get a pending block by hash, ID and summary', async () => {
+      // a pending block at the height of a consensus block
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        eventNum: 3,
+        opTemplate,
+        startBlock: blocks[0].block.blockHeight
+      });
+      await ledgerStorage.operations.addMany({operations: result.operations});
+      await ledgerStorage.events.addMany({
+        events: result.events.map(({event, meta}) => ({
+          event,
+          meta: {
+            blockHeight: meta.blockHeight,
+            blockOrder: meta.blockOrder,
+            eventHash: meta.eventHash
+          }
+        }))
+      });
+      const [{block, meta}] = result.blocks;
+      meta.consensus = false;
+      delete meta.consensusDate;
+      await ledgerStorage.blocks.add({block, meta});
+      const eventHashes = result.events.map(({meta}) => meta.eventHash);
+
+      const byHash = await ledgerStorage.blocks.getByHash(
+        {blockHash: meta.blockHash, consensus: false});
+      byHash.block.event.should.have.length(3);
+      const byId = await ledgerStorage.blocks.get(
+        {blockId: block.id, consensus: false});
+      byId.block.event.should.have.length(3);
+      const summary = await ledgerStorage.blocks.getSummaryByHash(
+        {blockHash: meta.blockHash, consensus: false, eventHash: true});
+      summary.block.eventHash.should.eql(eventHashes);
+      // the consensus block at the same height keeps its own events
+      const consensusBlock = await ledgerStorage.blocks.getByHash(
+        {blockHash: blocks[0].meta.blockHash});
+      consensusBlock.block.event.should.have.length(2);
+    });
+  }); // end getByHash API
+
+  describe('getSummaries API', () => {
+    let blocks;
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: 4,
+        eventNum: 3,
+        opTemplate
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      ({blocks} = result);
+    });
+    it('should get summaries with event hashes', async () => {
+      const summaries = await ledgerStorage.blocks.getSummaries(
+        {startHeight: 1, endHeight: 3, eventHash: true});
+      summaries.map(({block}) => block.blockHeight).should.eql([1, 2, 3]);
+      summaries.forEach(({block, meta}, i) => {
+        should.not.exist(block.event);
+        meta.blockHash.should.equal(blocks[i].meta.blockHash);
+        block.eventHash.should.eql(blocks[i].block.event);
+      });
+    });
+    it('should page through summaries', async () => {
+      let summaries = await ledgerStorage.blocks.getSummaries({limit: 3});
+      summaries.map(({block}) => block.blockHeight).should.eql([0, 1, 2]);
+      should.not.exist(summaries[0].block.eventHash);
+      const startHeight = summaries[2].block.blockHeight + 1;
+      summaries = await ledgerStorage.blocks.getSummaries(
+        {startHeight, limit: 3});
+      summaries.map(({block}) => block.blockHeight).should.eql([3, 4]);
+    });
+    it('should get a summary by height with event hashes', async () => {
+      const {block} = await ledgerStorage.blocks.getSummaryByHeight(
+        {blockHeight: 2, eventHash: true});
+      block.eventHash.should.eql(blocks[1].block.event);
+    });
+    it('should get a summary by block ID with event hashes', async () => {
+      const {block} = await ledgerStorage.blocks.getSummary(
+        {blockId: blocks[3].block.id, eventHash: true});
+      block.blockHeight.should.equal(4);
+      block.eventHash.should.eql(blocks[3].block.event);
+    });
+    it('should not get the event hashes of other blocks', async () => {
+      // non-consensus events at the height of a consensus block
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        eventNum: 2,
+        opTemplate,
+        startBlock: 2
+      });
+      await ledgerStorage.operations.addMany({operations: result.operations});
+      await ledgerStorage.events.addMany({
+        events: result.events.map(({event, meta}) => ({
+          event,
+          meta: {
+            blockHeight: meta.blockHeight,
+            blockOrder: meta.blockOrder,
+            eventHash: meta.eventHash
+          }
+        }))
+      });
+      const summaries = await ledgerStorage.blocks.getSummaries(
+        {startHeight: 2, endHeight: 2, eventHash: true});
+      summaries.should.have.length(1);
+      summaries[0].block.eventHash.should.eql(blocks[1].block.event);
+    });
+  }); // end getSummaries API
+
+  describe('getEventProof API', () => {
+    let blocks;
+    let events;
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        eventNum: 5,
+        opTemplate
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      ({blocks, events} = result);
+    });
+    it('should record the Merkle root when a block is added', async () => {
+      const {meta} = await ledgerStorage.blocks.getByHeight(1);
+      meta.merkleRoot.should.be.a('string');
+      meta.merkleRoot.should.match(/^[0-9a-f]{64}$/);
+      meta.merkleRoot.should.equal(blocks[0].meta.merkleRoot);
+    });
+    it('should get a proof for each event in a block', async () => {
+      const {meta: {merkleRoot}} = await ledgerStorage.blocks.getByHeight(1);
+      for(const {meta: {eventHash}} of events) {
+        const result = await ledgerStorage.blocks.getEventProof(
+          {blockHeight: 1, eventHash});
+        result.blockHeight.should.equal(1);
+        result.blockHash.should.equal(blocks[0].meta.blockHash);
+        result.eventHash.should.equal(eventHash);
+        result.merkleRoot.should.equal(merkleRoot);
+        // 5 events need at most 3 siblings
+        result.proof.length.should.be.within(1, 3);
+        const {proof} = result;
+        blsMongodb.verifyEventProof({eventHash, proof, merkleRoot})
+          .should.be.true;
+      }
+    });
+    it('should not verify a proof for another event or root', async () => {
+      const [{meta: {eventHash}}, {meta: {eventHash: otherHash}}] = events;
+      const {merkleRoot, proof} = await ledgerStorage.blocks.getEventProof(
+        {blockHeight: 1, eventHash});
+      blsMongodb.verifyEventProof({eventHash: otherHash, proof, merkleRoot})
+        .should.be.false;
+      const {meta: {merkleRoot: genesisRoot}} =
+        await ledgerStorage.blocks.getByHeight(0);
+      blsMongodb.verifyEventProof({eventHash, proof, merkleRoot: genesisRoot})
+        .should.be.false;
+      const tampered = proof.map(({hash, position}) => ({
+        hash, position: position === 'left' ? 'right' : 'left'
+      }));
+      blsMongodb.verifyEventProof({eventHash, proof: tampered, merkleRoot})
+        .should.be.false;
+    });
+    it('should verify a single event block with an empty proof', async () => {
+      const [{meta: {eventHash}}] = await ledgerStorage.events
+        .collection.find({'meta.blockHeight': 0}).toArray();
+      const {merkleRoot, proof} = await ledgerStorage.blocks.getEventProof(
+        {blockHeight: 0, eventHash});
+      proof.should.eql([]);
+      blsMongodb.verifyEventProof({eventHash, proof, merkleRoot})
+        .should.be.true;
+    });
+    it('should fail for an event that is not in the block', async () => {
+      const [{meta: {eventHash}}] = events;
+      let err;
+      try {
+        await ledgerStorage.blocks.getEventProof({blockHeight: 0, eventHash});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should fail for a block that does not exist', async () => {
+      const [{meta: {eventHash}}] = events;
+      let err;
+      try {
+        await ledgerStorage.blocks.getEventProof({blockHeight: 99, eventHash});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end getEventProof API
+
+  describe('getByDate API', () => {
+    // consensus dates long before the genesis block
+    const dates = [1000000, 2000000, 3000000];
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: dates.length,
+        eventNum: 2,
+        opTemplate
+      });
+      result.blocks.forEach(({meta}, i) => meta.consensusDate = dates[i]);
+      await helpers.addBlocks({ledgerStorage, ...result});
+    });
+    it('should get the first block at or after a date', async () => {
+      let result = await ledgerStorage.blocks.getByDate({date: 1500000});
+      result.block.blockHeight.should.equal(2);
+      result.meta.consensusDate.should.equal(2000000);
+      should.not.exist(result.block.event);
+      result = await ledgerStorage.blocks.getByDate({date: 2000000});
+      result.block.blockHeight.should.equal(2);
+    });
+    it('should get the last block at or before a date', async () => {
+      const result = await ledgerStorage.blocks.getByDate(
+        {date: 2500000, direction: 'backward'});
+      result.block.blockHeight.should.equal(2);
+    });
+    it('should include events', async () => {
+      const result = await ledgerStorage.blocks.getByDate(
+        {date: 1000000, includeEvents: true});
+      result.block.blockHeight.should.equal(1);
+      result.block.event.should.have.length(2);
+    });
+    it('should fail if there is no block in the direction', async () => {
+      let err;
+      try {
+        await ledgerStorage.blocks.getByDate(
+          {date: 500000, direction: 'backward'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should be properly indexed', async () => {
+      const result = await ledgerStorage.blocks.getByDate(
+        {date: 1500000, explain: true});
+      const {executionStats} = result;
+      executionStats.executionStages.inputStage.inputStage.inputStage.indexName
+        .should.equal('block.consensusDate.core.1');
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+    });
+    it('should get the blocks in a date window', async () => {
+      let records = await ledgerStorage.blocks.getRangeByDate(
+        {from: 1000000, to: 3000000});
+      records.map(({block}) => block.blockHeight).should.eql([1, 2]);
+      should.not.exist(records[0].block.event);
+      records = await ledgerStorage.blocks.getRangeByDate(
+        {from: 1000000, to: 3000001, includeEvents: true, limit: 2});
+      records.map(({block}) => block.blockHeight).should.eql([1, 2]);
+      records[0].block.event.should.have.length(2);
+      records = await ledgerStorage.blocks.getRangeByDate(
+        {from: 0, to: 1000000});
+      records.should.eql([]);
+    });
+  }); // end getByDate API
+
+  describe('getAnalytics API', () => {
+    const dates = [1000000, 1001000, 1003000, 1006000];
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: dates.length,
+        eventNum: 2,
+        opTemplate
+      });
+      result.blocks.forEach(({meta}, i) => meta.consensusDate = dates[i]);
+      // events are created 100ms and 200ms before consensus
+      for(const {meta} of result.events) {
+        meta.consensusDate = dates[meta.blockHeight - 1];
+        meta.created = meta.consensusDate - (meta.blockOrder + 1) * 100;
+      }
+      await helpers.addBlocks({ledgerStorage, ...result});
+    });
+    it('should get analytics in buckets', async () => {
+      const buckets = await ledgerStorage.blocks.getAnalytics(
+        {startHeight: 1, bucket: 2, percentiles: [50, 90]});
+      buckets.should.have.length(2);
+      const [first, second] = buckets;
+      first.startHeight.should.equal(1);
+      first.endHeight.should.equal(2);
+      first.blockCount.should.equal(2);
+      first.eventCount.should.equal(4);
+      first.eventsByType.should.eql({WebLedgerOperationEvent: 4});
+      first.operationCount.should.equal(4);
+      first.blockInterval.should.eql(
+        {mean: 1000, percentiles: {p50: 1000, p90: 1000}});
+      first.consensusLatency.should.eql(
+        {mean: 150, percentiles: {p50: 100, p90: 200}});
+      second.startHeight.should.equal(3);
+      second.endHeight.should.equal(4);
+      second.blockInterval.mean.should.equal(3000);
+    });
+    it('should get analytics for a range in one bucket', async () => {
+      const [result, ...rest] = await ledgerStorage.blocks.getAnalytics(
+        {startHeight: 1, endHeight: 4, percentiles: [50, 99]});
+      rest.should.have.length(0);
+      result.startHeight.should.equal(1);
+      result.endHeight.should.equal(4);
+      result.blockCount.should.equal(4);
+      result.eventCount.should.equal(8);
+      result.blockInterval.should.eql(
+        {mean: 2000, percentiles: {p50: 2000, p99: 3000}});
+    });
+    it('should report no values as null', async () => {
+      const [genesis] = await ledgerStorage.blocks.getAnalytics(
+        {startHeight: 0, endHeight: 0, percentiles: [50]});
+      genesis.blockCount.should.equal(1);
+      genesis.eventsByType.should.eql({WebLedgerConfigurationEvent: 1});
+      genesis.blockInterval.should.eql(
+        {mean: null, percentiles: {p50: null}});
+    });
+    it('should reject an invalid bucket', async () => {
+      let err;
+      try {
+        await ledgerStorage.blocks.getAnalytics({bucket: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  }); // end getAnalytics API
+
+  describe('pending blocks API', () => {
+    async function addPendingBlock(
+      {blockHeight, created, previousBlockHash}) {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate,
+        previousBlockHash,
+        startBlock: blockHeight
+      });
+      await ledgerStorage.operations.addMany({operations});
+      await ledgerStorage.events.addMany({
+        events: events.map(({event, meta}) => ({
+          event,
+          meta: {
+            blockHeight: meta.blockHeight,
+            blockOrder: meta.blockOrder,
+            eventHash: meta.eventHash
+          }
+        }))
+      });
+      const [{block, meta}] = blocks;
+      meta.consensus = false;
+      delete meta.consensusDate;
+      if(created !== undefined) {
+        meta.created = created;
+      }
+      await ledgerStorage.blocks.add({block, meta});
+      return {block, meta};
+    }
+
+    it('should list pending blocks a page at a time', async () => {
+      const added = [];
+      for(const blockHeight of [3, 1, 2]) {
+        added.push(await addPendingBlock({blockHeight}));
+      }
+      let result = await ledgerStorage.blocks.listPending({limit: 2});
+      result.blocks.map(({block}) => block.blockHeight).should.eql([1, 2]);
+      for(const {meta} of result.blocks) {
+        meta.consensus.should.be.false;
+      }
+      should.exist(result.continuationToken);
+      result = await ledgerStorage.blocks.listPending(
+        {limit: 2, continuationToken: result.continuationToken});
+      result.blocks.map(({block}) => block.blockHeight).should.eql([3]);
+      should.not.exist(result.continuationToken);
+    });
+    it('should promote a pending block', async () => {
+      const {meta: {blockHash}} = await addPendingBlock({blockHeight: 1});
+      const consensusDate = Date.now();
+      const result = await ledgerStorage.blocks.promote(
+        {blockHash, consensusDate});
+      result.meta.consensus.should.be.true;
+      result.meta.consensusDate.should.equal(consensusDate);
+      const blockHeight = await ledgerStorage.blocks.getLatestBlockHeight();
+      blockHeight.should.equal(1);
+      const {blocks} = await ledgerStorage.blocks.listPending();
+      blocks.should.have.length(0);
+    });
+    it('should not promote a block at a height with consensus', async () => {
+      const first = await addPendingBlock({blockHeight: 1});
+      const second = await addPendingBlock({blockHeight: 1});
+      await ledgerStorage.blocks.promote({blockHash: first.meta.blockHash});
+      let err;
+      try {
+        await ledgerStorage.blocks.promote(
+          {blockHash: second.meta.blockHash});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      err.details.blockHeight.should.equal(1);
+    });
+    it('should promote one of two competing blocks at once', async () => {
+      const previousBlockHash = uuid();
+      const competing = [];
+      for(let i = 0; i < 2; ++i) {
+        competing.push(
+          await addPendingBlock({blockHeight: 1, previousBlockHash}));
+      }
+      const results = await Promise.all(competing.map(
+        ({meta: {blockHash}}) => ledgerStorage.blocks.promote({blockHash})
+          .then(() => null, e => e)));
+      const errors = results.filter(e => e);
+      errors.should.have.length(1);
+      // refused before or by the unique block height index
+      errors[0].name.should.be.oneOf(['InvalidStateError', 'DuplicateError']);
+      const count = await ledgerStorage.blocks.collection.countDocuments(
+        {'block.blockHeight': 1, 'meta.consensus': true});
+      count.should.equal(1);
+    });
+    it('should promote one of two competing blocks with different parents',
+      async () => {
+        const competing = [];
+        for(let i = 0; i < 2; ++i) {
+          competing.push(await addPendingBlock(
+            {blockHeight: 1, previousBlockHash: uuid()}));
+        }
+        const results = await Promise.all(competing.map(
+          ({meta: {blockHash}}) => ledgerStorage.blocks.promote({blockHash})
+            .then(() => null, e => e)));
+        const errors = results.filter(e => e);
+        errors.should.have.length(1);
+        errors[0].name.should.be.oneOf(
+          ['InvalidStateError', 'DuplicateError']);
+        errors[0].details.blockHeight.should.equal(1);
+        const count = await ledgerStorage.blocks.collection.countDocuments(
+          {'block.blockHeight': 1, 'meta.consensus': true});
+        count.should.equal(1);
+      });
+    it('should not add a second consensus block at a height', async () => {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+      // a competing block with a different parent
+      const competing = await addPendingBlock({blockHeight: 1});
+      const {block, meta} = competing;
+      let err;
+      try {
+        await ledgerStorage.blocks.add({block: {...block, id: uuid()}, meta: {
+          ...meta,
+          blockHash: uuid(),
+          consensus: true,
+          consensusDate: Date.now()
+        }});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+    it('should fail to promote an unknown block', async () => {
+      let err;
+      try {
+        await ledgerStorage.blocks.promote({blockHash: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should remove old pending blocks', async () => {
+      const old = await addPendingBlock(
+        {blockHeight: 1, created: Date.now() - 10000});
+      const recent = await addPendingBlock({blockHeight: 2});
+      const count = await ledgerStorage.blocks.removePending({maxAge: 5000});
+      count.should.equal(1);
+      const {blocks} = await ledgerStorage.blocks.listPending();
+      blocks.map(({meta}) => meta.blockHash).should.eql(
+        [recent.meta.blockHash]);
+      let err;
+      try {
+        await ledgerStorage.blocks.getByHash(
+          {blockHash: old.meta.blockHash, consensus: false});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should remove old pending blocks from all ledgers', async () => {
+      await addPendingBlock({blockHeight: 1, created: Date.now() - 10000});
+      const count = await blsMongodb.removePendingBlocks({maxAge: 5000});
+      count.should.be.at.least(1);
+      const {blocks} = await ledgerStorage.blocks.listPending();
+      blocks.should.have.length(0);
+    });
+  }); // end pending blocks API
+
+  describe('watch API', () => {
+    async function addBlock({startBlock = 1} = {}) {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate,
+        startBlock
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      return result;
+    }
+
+    it('should notify of new blocks', async () => {
+      const changes = await ledgerStorage.watch(
+        {types: ['block'], pollInterval: 50});
+      try {
+        const {blocks} = await addBlock();
+        const {value} = await changes.next();
+        value.type.should.equal('block');
+        value.operationType.should.equal('insert');
+        value.record.meta.blockHash.should.equal(blocks[0].meta.blockHash);
+        value.record.block.blockHeight.should.equal(1);
+        should.not.exist(value.record._id);
+        value.resumeToken.should.be.a('string');
+        changes.resumeToken.should.equal(value.resumeToken);
+      } finally {
+        await changes.return();
+      }
+    });
+    it('should resume watching after a resume token', async () => {
+      let changes = await ledgerStorage.watch({pollInterval: 50});
+      const {blocks, events, operations} = await addBlock();
+      const notifications = [];
+      try {
+        notifications.push((await changes.next()).value);
+      } finally {
+        await changes.return();
+      }
+      const {resumeToken} = changes;
+      changes = await ledgerStorage.watch({resumeToken, pollInterval: 50});
+      try {
+        notifications.push((await changes.next()).value);
+        notifications.push((await changes.next()).value);
+      } finally {
+        await changes.return();
+      }
+      notifications.map(({type}) => type).should.have.members(
+        ['block', 'event', 'operation']);
+      const block = notifications.find(({type}) => type === 'block');
+      block.record.meta.blockHash.should.equal(blocks[0].meta.blockHash);
+      const event = notifications.find(({type}) => type === 'event');
+      event.record.meta.eventHash.should.equal(events[0].meta.eventHash);
+      const operation = notifications.find(({type}) => type === 'operation');
+      operation.record.meta.eventHash.should.equal(
+        operations[0].meta.eventHash);
+    });
+    it('should poll for inserts with an earlier _id', async function() {
+      const {setName, msg} = await database.db.command({isMaster: 1});
+      if(setName || msg === 'isdbgrid') {
+        // change streams report all inserts
+        this.skip();
+      }
+      const changes = await ledgerStorage.watch(
+        {types: ['block'], pollInterval: 50});
+      try {
+        await addBlock();
+        const {value: first} = await changes.next();
+        // simulate a block inserted by another process with an `_id` it
+        // generated before the block that was just seen
+        const {_id: lastId} = await ledgerStorage.blocks.collection.findOne(
+          {'meta.blockHash': first.record.meta.blockHash});
+        const olderId = lastId.constructor.createFromTime(
+          Math.floor(lastId.getTimestamp().getTime() / 1000) - 1);
+        await ledgerStorage.blocks.collection.insertOne({
+          _id: olderId,
+          id: database.hash('urn:uuid:late'),
+          block: {id: 'urn:uuid:late', blockHeight: 3},
+          meta: {blockHash: 'late', consensus: false}
+        });
+        const {value: late} = await changes.next();
+        late.record.meta.blockHash.should.equal('late');
+        // blocks that were already reported are not reported again
+        const {blocks} = await addBlock({startBlock: 2});
+        const {value} = await changes.next();
+        value.record.meta.blockHash.should.equal(blocks[0].meta.blockHash);
+      } finally {
+        await changes.return();
+      }
+    });
+    it('should fail to watch with an invalid resume token', async () => {
+      let err;
+      try {
+        await ledgerStorage.watch({resumeToken: 'invalid'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  }); // end watch API
+
   describe('update API', () => {
     it('should update block', async () => {
       const blockTemplate = eventBlockTemplate;
@@ -180,6 +1100,117 @@ describe('Block Storage API', () => {
       should.exist(err);
       err.name.should.equal('NotFoundError');
     });
+    describe('JSON Patch', () => {
+      let blockHash;
+      beforeEach(async () => {
+        const {operations, events, blocks} = await helpers.createBlocks({
+          blockTemplate: eventBlockTemplate,
+          eventTemplate: mockData.events.alpha,
+          opTemplate
+        });
+        await ledgerStorage.operations.addMany({operations});
+        await ledgerStorage.events.add(events[0]);
+        const {block, meta} = blocks[0];
+        ({blockHash} = meta);
+        await ledgerStorage.blocks.add({block, meta: {
+          ...meta,
+          testArray: ['a', 'b'],
+          pending: true
+        }});
+      });
+      it('should update block meta', async () => {
+        const patch = [
+          {op: 'test', path: '/meta/pending', value: true},
+          {op: 'remove', path: '/meta/pending'},
+          {op: 'add', path: '/meta/testArray/-', value: 'c'},
+          {op: 'replace', path: '/meta/consensusDate', value: 1},
+          {op: 'copy', from: '/meta/testArray', path: '/meta/copied'},
+          {op: 'move', from: '/meta/copied', path: '/meta/moved'}
+        ];
+        await ledgerStorage.blocks.update({blockHash, patch});
+        const {meta} = await ledgerStorage.blocks.getByHash(
+          {blockHash, includeEvents: false});
+        should.not.exist(meta.pending);
+        should.not.exist(meta.copied);
+        meta.testArray.should.eql(['a', 'b', 'c']);
+        meta.moved.should.eql(['a', 'b', 'c']);
+        meta.consensusDate.should.equal(1);
+        meta.blockHash.should.equal(blockHash);
+      });
+      it('should not update block meta if a test fails', async () => {
+        const patch = [
+          {op: 'test', path: '/meta/pending', value: false},
+          {op: 'remove', path: '/meta/pending'}
+        ];
+        let err;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('InvalidStateError');
+        const {meta} = await ledgerStorage.blocks.getByHash(
+          {blockHash, includeEvents: false});
+        meta.pending.should.be.true;
+      });
+      it('should not update a block outside of meta', async () => {
+        const patch = [{op: 'add', path: '/block/foo', value: 'bar'}];
+        let err;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      });
+      it('should not update the block hash', async () => {
+        const patch = [{op: 'replace', path: '/meta/blockHash', value: 'x'}];
+        let err;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      });
+      it('should fail to apply an invalid patch', async () => {
+        let err;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch: [
+            {op: 'invalid', path: '/meta/pending'}
+          ]});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+        err = null;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch: [
+            {op: 'remove', path: '/meta/missing'}
+          ]});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+      it('should fail to apply an unknown legacy operation', async () => {
+        let err;
+        try {
+          await ledgerStorage.blocks.update({blockHash, patch: [
+            {op: 'invalid', changes: {meta: {pending: false}}}
+          ]});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+    }); // end JSON Patch
   }); // end update API
 
   describe('remove API', () => {
@@ -192,8 +1223,147 @@ describe('Block Storage API', () => {
       await ledgerStorage.events.add(events[0]);
       await ledgerStorage.blocks.add(blocks[0]);
 
+      const {blockHash} = blocks[0].meta;
+      const result = await ledgerStorage.blocks.remove(blockHash);
+      result.should.eql({eventCount: 0, operationCount: 0});
+    });
+    it('should keep meta of a removed block', async () => {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
       const {blockHash} = blocks[0].meta;
       await ledgerStorage.blocks.remove(blockHash);
+      const record = await ledgerStorage.blocks.collection.findOne(
+        {'meta.blockHash': blockHash});
+      record.meta.blockHash.should.equal(blockHash);
+      record.meta.consensus.should.be.true;
+      record.meta.deleted.should.be.a('number');
+      record.meta.updated.should.equal(record.meta.deleted);
+      // the events are not removed by default
+      const eventHash = events[0].meta.eventHash;
+      const exists = await ledgerStorage.events.exists(eventHash);
+      exists.should.be.true;
+    });
+    it('should exclude a removed block from reads', async () => {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+      const {block, meta: {blockHash}} = blocks[0];
+      await ledgerStorage.blocks.remove(blockHash);
+
+      const blockHeight = await ledgerStorage.blocks.getLatestBlockHeight();
+      blockHeight.should.equal(0);
+      const {eventBlock} = await ledgerStorage.blocks.getLatest();
+      eventBlock.block.blockHeight.should.equal(0);
+      const summaries = await ledgerStorage.blocks.getSummaries();
+      summaries.map(({block}) => block.blockHeight).should.eql([0]);
+      const {missing} = await ledgerStorage.blocks.getManyByHash([blockHash]);
+      missing.should.eql([blockHash]);
+      for(const read of [
+        () => ledgerStorage.blocks.getByHeight(block.blockHeight),
+        () => ledgerStorage.blocks.get({blockId: block.id}),
+        () => ledgerStorage.blocks.getByHash({blockHash}),
+        () => ledgerStorage.blocks.getSummaryByHash({blockHash})
+      ]) {
+        let err;
+        try {
+          await read();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      }
+      let err;
+      try {
+        await ledgerStorage.blocks.remove(blockHash);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should remove the events and operations in a block', async () => {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        eventNum: 2,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+      const {blockHash} = blocks[0].meta;
+      const result = await ledgerStorage.blocks.remove(
+        blockHash, {events: true, operations: true});
+      result.should.eql({eventCount: 2, operationCount: 2});
+
+      const eventHashes = events.map(({meta: {eventHash}}) => eventHash);
+      const missing = await ledgerStorage.events.difference(eventHashes);
+      missing.should.have.members(eventHashes);
+      let err;
+      try {
+        await ledgerStorage.events.get(eventHashes[0]);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      const [{meta: {operationHash}}] = operations;
+      const exists = await ledgerStorage.operations.exists({operationHash});
+      exists.should.be.false;
+      // the records are kept with their meta
+      const count = await ledgerStorage.events.collection.countDocuments({
+        'meta.eventHash': {$in: eventHashes},
+        'meta.consensus': true,
+        'meta.deleted': {$exists: true}
+      });
+      count.should.equal(2);
+    });
+    it('should hard delete a block with its events and operations',
+      async () => {
+        const {blocks, events, operations} = await helpers.createBlocks({
+          blockTemplate: eventBlockTemplate,
+          eventTemplate: mockData.events.alpha,
+          eventNum: 2,
+          opTemplate
+        });
+        await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+        const {blockHash} = blocks[0].meta;
+        // a block that is already marked as deleted may be hard deleted
+        await ledgerStorage.blocks.remove(blockHash);
+        const result = await ledgerStorage.blocks.remove(
+          blockHash, {events: true, operations: true, hard: true});
+        result.should.eql({eventCount: 2, operationCount: 2});
+
+        const eventHashes = events.map(({meta: {eventHash}}) => eventHash);
+        const blockCount = await ledgerStorage.blocks.collection
+          .countDocuments({'meta.blockHash': blockHash});
+        blockCount.should.equal(0);
+        const eventCount = await ledgerStorage.events.collection
+          .countDocuments({'meta.eventHash': {$in: eventHashes}});
+        eventCount.should.equal(0);
+        const operationCount = await ledgerStorage.operations.collection
+          .countDocuments({'meta.eventHash': {$in: eventHashes}});
+        operationCount.should.equal(0);
+        // hard deleted records may be added again
+        await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+        const {meta} = await ledgerStorage.blocks.getByHash({blockHash});
+        meta.blockHash.should.equal(blockHash);
+      });
+    it('should not remove operations without events', async () => {
+      let err;
+      try {
+        await ledgerStorage.blocks.remove('foo', {operations: true});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
     });
     it('should fail to remove non-existent block', async () => {
       const blockHash = 'INVALID HASH';
@@ -208,6 +1378,324 @@ describe('Block Storage API', () => {
     });
   }); // end remove API
 
+  describe('getRange API', () => {
+    // adds a second consensus block at a height, as ledger storages created
+    // before consensus block heights were unique may have
+    async function _addBlockAtHeight(blockHeight) {
+      await ledgerStorage.blocks.collection.dropIndex(
+        'block.blockHeight.core.2');
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        startBlock: blockHeight,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+      return blocks[0];
+    }
+    beforeEach(async () => {
+      const {blocks, events, operations} = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: 5,
+        eventNum: 2,
+        opTemplate
+      });
+      await helpers.addBlocks({blocks, events, ledgerStorage, operations});
+    });
+    it('should get blocks in height order', async () => {
+      const heights = [];
+      for await (const {block, meta} of ledgerStorage.blocks.getRange(
+        {batchSize: 2})) {
+        should.exist(meta.blockHash);
+        should.not.exist(block.event);
+        heights.push(block.blockHeight);
+      }
+      heights.should.eql([0, 1, 2, 3, 4, 5]);
+    });
+    it('should get a range of blocks with events and operations', async () => {
+      const blocks = [];
+      for await (const {block} of ledgerStorage.blocks.getRange({
+        startHeight: 2, endHeight: 4, includeEvents: true,
+        includeOperations: true
+      })) {
+        blocks.push(block);
+      }
+      blocks.map(({blockHeight}) => blockHeight).should.eql([2, 3, 4]);
+      for(const block of blocks) {
+        block.event.should.have.length(2);
+        for(const event of block.event) {
+          event.type.should.equal('WebLedgerOperationEvent');
+          event.operation.should.have.length(1);
+        }
+      }
+    });
+    it('should resume from the last block height', async () => {
+      const iterator = ledgerStorage.blocks.getRange({batchSize: 1});
+      should.not.exist(iterator.lastBlockHeight);
+      await iterator.next();
+      await iterator.next();
+      iterator.lastBlockHeight.should.equal(1);
+      await iterator.return();
+      const heights = [];
+      for await (const {block} of ledgerStorage.blocks.getRange(
+        {startHeight: iterator.lastBlockHeight + 1})) {
+        heights.push(block.blockHeight);
+      }
+      heights.should.eql([2, 3, 4, 5]);
+    });
+    it('should get all blocks at a height across batches', async () => {
+      // a second consensus block at height 2
+      const duplicate = await _addBlockAtHeight(2);
+      for(const batchSize of [1, 2, 3]) {
+        const blocks = [];
+        for await (const {block, meta} of ledgerStorage.blocks.getRange(
+          {batchSize})) {
+          blocks.push({blockHeight: block.blockHeight, ...meta});
+        }
+        blocks.map(({blockHeight}) => blockHeight).should.eql(
+          [0, 1, 2, 2, 3, 4, 5]);
+        blocks.map(({blockHash}) => blockHash).should.include(
+          duplicate.meta.blockHash);
+      }
+    });
+    it('should resume after a block at a shared height', async () => {
+      await _addBlockAtHeight(2);
+      const iterator = ledgerStorage.blocks.getRange({batchSize: 3});
+      const first = [];
+      for(let i = 0; i < 3; ++i) {
+        const {value: {meta}} = await iterator.next();
+        first.push(meta.blockHash);
+      }
+      await iterator.return();
+      iterator.lastBlock.blockHeight.should.equal(2);
+      iterator.lastBlockHeight.should.equal(2);
+      const heights = [];
+      const rest = [];
+      for await (const {block, meta} of ledgerStorage.blocks.getRange(
+        {startAfter: iterator.lastBlock})) {
+        heights.push(block.blockHeight);
+        rest.push(meta.blockHash);
+      }
+      heights.should.eql([2, 3, 4, 5]);
+      for(const blockHash of first) {
+        rest.should.not.include(blockHash);
+      }
+    });
+    it('should keep batches within the memory budget', async () => {
+      const heights = [];
+      for await (const {block} of ledgerStorage.blocks.getRange(
+        {includeEvents: true, maxBatchBytes: 1})) {
+        heights.push(block.blockHeight);
+      }
+      heights.should.eql([0, 1, 2, 3, 4, 5]);
+    });
+    it('should read the events of each block within the memory budget',
+      async () => {
+        // the budget only fits the events of one height at a time
+        const blocks = [];
+        for await (const {block} of ledgerStorage.blocks.getRange({
+          startHeight: 1, includeEvents: true, includeOperations: true,
+          maxBatchBytes: 1
+        })) {
+          blocks.push(block);
+        }
+        blocks.map(({blockHeight}) => blockHeight).should.eql([1, 2, 3, 4, 5]);
+        for(const block of blocks) {
+          block.event.should.have.length(2);
+          for(const event of block.event) {
+            event.operation.should.have.length(1);
+          }
+        }
+      });
+    it('should fail to include operations without events', async () => {
+      let err;
+      try {
+        ledgerStorage.blocks.getRange({includeOperations: true});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceOf(TypeError);
+    });
+  }); // end getRange API
+
+  describe('verifyChain API', () => {
+    let blocks;
+    beforeEach(async () => {
+      const {genesisBlock} = await ledgerStorage.blocks.getGenesis();
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: 4,
+        eventNum: 2,
+        opTemplate,
+        previousBlockHash: genesisBlock.meta.blockHash
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      ({blocks} = result);
+    });
+    it('should verify a valid chain', async () => {
+      const result = await ledgerStorage.blocks.verifyChain();
+      result.valid.should.be.true;
+      result.problems.should.have.length(0);
+      result.startHeight.should.equal(0);
+      result.lastBlockHeight.should.equal(4);
+    });
+    it('should report a gap in block heights', async () => {
+      await ledgerStorage.blocks.collection.deleteOne(
+        {'block.blockHeight': 2});
+      const result = await ledgerStorage.blocks.verifyChain();
+      result.valid.should.be.false;
+      result.problems.should.have.length(1);
+      const [problem] = result.problems;
+      problem.blockHeight.should.equal(3);
+      problem.kind.should.equal('gap');
+      problem.details.missing.should.eql([2, 2]);
+    });
+    it('should report a broken link', async () => {
+      await ledgerStorage.blocks.collection.updateOne(
+        {'block.blockHeight': 3},
+        {$set: {'block.previousBlockHash': 'INVALID'}});
+      const result = await ledgerStorage.blocks.verifyChain(
+        {startHeight: 2, endHeight: 3});
+      result.problems.should.have.length(1);
+      const [problem] = result.problems;
+      problem.blockHeight.should.equal(3);
+      problem.kind.should.equal('previousBlockHashMismatch');
+      problem.details.expected.should.equal(blocks[1].meta.blockHash);
+      problem.details.actual.should.equal('INVALID');
+    });
+    it('should report a mismatched event count', async () => {
+      await ledgerStorage.events.collection.deleteOne(
+        {'meta.blockHeight': 2});
+      const result = await ledgerStorage.blocks.verifyChain({batchSize: 2});
+      result.problems.should.have.length(1);
+      const [problem] = result.problems;
+      problem.blockHeight.should.equal(2);
+      problem.kind.should.equal('eventCountMismatch');
+      problem.details.should.eql({expected: 2, actual: 1});
+    });
+    it('should verify incrementally from a checkpoint', async () => {
+      let result = await ledgerStorage.blocks.verifyChain({incremental: true});
+      result.valid.should.be.true;
+      result.checkpoint.blockHeight.should.equal(4);
+      result.checkpoint.blockHash.should.equal(blocks[3].meta.blockHash);
+      const record = await database.collections.ledger.findOne(
+        {id: ledgerStorage.id});
+      record.meta.chainCheckpoint.blockHeight.should.equal(4);
+
+      const more = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        opTemplate,
+        previousBlockHash: blocks[3].meta.blockHash,
+        startBlock: 5
+      });
+      await helpers.addBlocks({ledgerStorage, ...more});
+      // a problem below the checkpoint is not checked again
+      await ledgerStorage.blocks.collection.deleteOne(
+        {'block.blockHeight': 2});
+      result = await ledgerStorage.blocks.verifyChain({incremental: true});
+      result.valid.should.be.true;
+      result.startHeight.should.equal(5);
+      result.lastBlockHeight.should.equal(5);
+      result.checkpoint.blockHeight.should.equal(5);
+    });
+  }); // end verifyChain API
+
+  describe('truncate API', () => {
+    let events;
+    beforeEach(async () => {
+      const result = await helpers.createBlocks({
+        blockTemplate: eventBlockTemplate,
+        eventTemplate: mockData.events.alpha,
+        blockNum: 4,
+        eventNum: 2,
+        opTemplate
+      });
+      await helpers.addBlocks({ledgerStorage, ...result});
+      ({events} = result);
+    });
+    it('should return events to a non-consensus state', async () => {
+      let emitted;
+      const listener = data => {
+        emitted = data;
+      };
+      bedrock.events.on('bedrock-ledger-storage.ledger.truncate', listener);
+      let result;
+      try {
+        result = await ledgerStorage.truncate({blockHeight: 2});
+      } finally {
+        bedrock.events.removeListener(
+          'bedrock-ledger-storage.ledger.truncate', listener);
+      }
+      result.should.eql({blockCount: 2, eventCount: 4, operationCount: 0});
+      const blockHeight = await ledgerStorage.blocks.getLatestBlockHeight();
+      blockHeight.should.equal(2);
+      const truncated = events.filter(({meta}) => meta.blockHeight > 2)
+        .map(({meta: {eventHash}}) => eventHash);
+      const {meta} = await ledgerStorage.events.get(truncated[0]);
+      should.not.exist(meta.blockHeight);
+      should.not.exist(meta.blockOrder);
+      should.not.exist(meta.consensus);
+      should.not.exist(meta.consensusDate);
+      const hashes = await ledgerStorage.events.filterHashes(
+        {consensus: true, eventHash: truncated});
+      hashes.should.have.length(0);
+      should.exist(emitted);
+      emitted.storageId.should.equal(ledgerStorage.id);
+      emitted.blockHeight.should.equal(2);
+      emitted.previousBlockHeight.should.equal(4);
+      emitted.blockCount.should.equal(2);
+    });
+    it('should delete events and operations', async () => {
+      const result = await ledgerStorage.truncate(
+        {blockHeight: 3, deleteEvents: true});
+      result.should.eql({blockCount: 1, eventCount: 2, operationCount: 2});
+      const truncated = events.filter(({meta}) => meta.blockHeight > 3)
+        .map(({meta: {eventHash}}) => eventHash);
+      const missing = await ledgerStorage.events.difference(truncated);
+      missing.should.have.members(truncated);
+      const operationCount = await ledgerStorage.operations.collection
+        .countDocuments({'meta.eventHash': {$in: truncated}});
+      operationCount.should.equal(0);
+    });
+    it('should clear the effective configuration above the height',
+      async () => {
+        const event = bedrock.util.clone(configEventTemplate);
+        event.ledgerConfiguration.sequence = 1;
+        const eventHash = await helpers.testHasher(event);
+        await ledgerStorage.events.add({event, meta: {
+          blockHeight: 5,
+          blockOrder: 0,
+          consensus: true,
+          consensusDate: Date.now(),
+          effectiveConfiguration: true,
+          eventHash
+        }});
+        const result = await ledgerStorage.events.getLatestConfig();
+        result.meta.eventHash.should.equal(eventHash);
+        await ledgerStorage.truncate({blockHeight: 2});
+        // the genesis config event is not marked as effective in this suite
+        let err;
+        try {
+          await ledgerStorage.events.getLatestConfig();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+    it('should clear a chain checkpoint above the height', async () => {
+      await ledgerStorage.blocks.verifyChain({incremental: true});
+      await ledgerStorage.truncate({blockHeight: 1});
+      const record = await database.collections.ledger.findOne(
+        {id: ledgerStorage.id});
+      should.not.exist(record.meta.chainCheckpoint);
+    });
+  }); // end truncate API
+
   describe('getGenesis API', () => {
     it('should get genesis block', async () => {
       const result = await ledgerStorage.blocks.getGenesis();
@@ -258,7 +1746,7 @@ describe('Block Storage API', () => {
       should.exist(result);
       result.should.equal(1);
     });
-    it('should be a covered query', async () => {
+    it('should be properly indexed', async () => {
       const blockTemplate = eventBlockTemplate;
       const eventTemplate = mockData.events.alpha;
       const {blocks, events, operations} = await helpers.createBlocks(
@@ -279,9 +1767,10 @@ describe('Block Storage API', () => {
       should.exist(result.executionStats);
       result.executionStats.nReturned.should.equal(1);
       result.executionStats.totalKeysExamined.should.equal(1);
-      result.executionStats.totalDocsExamined.should.equal(0);
-      result.executionStats.executionStages.inputStage.inputStage.indexName
-        .should.equal('block.consensus.core.1');
+      // only the latest block is fetched to exclude deleted blocks
+      result.executionStats.totalDocsExamined.should.equal(1);
+      result.executionStats.executionStages.inputStage.inputStage.inputStage
+        .indexName.should.equal('block.consensus.core.1');
     });
   }); // end getLatestBlockHeight
 
@@ -684,21 +684,22 @@ describe('Event Storage API', () => {
       r.should.be.false;
     });
     it('positive result is properly indexed', async () => {
-      // this is a covered query
       const r = await ledgerStorage.events.hasEvent(
         {blockHeight: 0, explain: true, type: 'WebLedgerConfigurationEvent'});
-      const {indexName} = r.queryPlanner.winningPlan.inputStage.inputStage;
+      const {indexName} =
+        r.queryPlanner.winningPlan.inputStage.inputStage.inputStage;
       indexName.should.equal('event.consensus.core.1');
       const s = r.executionStats;
       s.nReturned.should.equal(1);
       s.totalKeysExamined.should.equal(1);
-      s.totalDocsExamined.should.equal(0);
+      // only the matching event is fetched to exclude deleted events
+      s.totalDocsExamined.should.equal(1);
     });
     it('negative result is properly indexed', async () => {
-      // this is a covered query
       const r = await ledgerStorage.events.hasEvent(
         {blockHeight: 0, explain: true, type: 'WebLedgerOperationEvent'});
-      const {indexName} = r.queryPlanner.winningPlan.inputStage.inputStage;
+      const {indexName} =
+        r.queryPlanner.winningPlan.inputStage.inputStage.inputStage;
       indexName.should.equal('event.consensus.core.1');
       const s = r.executionStats;
       s.nReturned.should.equal(0);
@@ -752,6 +753,70 @@ describe('Event Storage API', () => {
       should.not.exist(result);
       err.name.should.equal('NotFoundError');
     });
+    it('should update event with a JSON Patch', async () => {
+      const event = bedrock.util.clone(configEventTemplate);
+      event.ledgerConfiguration.creator = `https://example.com/${uuid()}`;
+      const eventHash = await helpers.testHasher(event);
+      await ledgerStorage.events.add(
+        {event, meta: {eventHash, pending: true, testArray: ['a']}});
+      const patch = [
+        {op: 'test', path: '/meta/pending', value: true},
+        {op: 'remove', path: '/meta/pending'},
+        {op: 'add', path: '/meta/testArray/-', value: 'b'},
+        {op: 'add', path: '/meta/processed', value: true}
+      ];
+      await ledgerStorage.events.update({eventHash, patch});
+      const {meta} = await ledgerStorage.events.get(eventHash);
+      should.not.exist(meta.pending);
+      meta.testArray.should.eql(['a', 'b']);
+      meta.processed.should.be.true;
+    });
+    it('should keep the BSON types of meta with a JSON Patch', async () => {
+      const event = bedrock.util.clone(configEventTemplate);
+      event.ledgerConfiguration.creator = `https://example.com/${uuid()}`;
+      const eventHash = await helpers.testHasher(event);
+      const received = new Date();
+      await ledgerStorage.events.add({event, meta: {eventHash, received}});
+      await ledgerStorage.events.update({eventHash, patch: [
+        {op: 'add', path: '/meta/processed', value: true}
+      ]});
+      const {meta} = await ledgerStorage.events.get(eventHash);
+      meta.received.should.be.an.instanceOf(Date);
+      meta.received.getTime().should.equal(received.getTime());
+      meta.processed.should.be.true;
+    });
+    it('should not update event if a JSON Patch test fails', async () => {
+      const event = bedrock.util.clone(configEventTemplate);
+      event.ledgerConfiguration.creator = `https://example.com/${uuid()}`;
+      const eventHash = await helpers.testHasher(event);
+      await ledgerStorage.events.add({event, meta: {eventHash, pending: true}});
+      let err;
+      try {
+        await ledgerStorage.events.update({eventHash, patch: [
+          {op: 'test', path: '/meta/pending', value: false},
+          {op: 'remove', path: '/meta/pending'}
+        ]});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      const {meta} = await ledgerStorage.events.get(eventHash);
+      meta.pending.should.be.true;
+    });
+    it('should not update an event hash with a JSON Patch', async () => {
+      let err;
+      try {
+        await ledgerStorage.events.update({
+          eventHash: 'ni:///sha-256;INVALID',
+          patch: [{op: 'replace', path: '/meta/eventHash', value: 'x'}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
   });
 
   describe('updateMany API', () => {
@@ -798,6 +863,29 @@ describe('Event Storage API', () => {
       }
     });
 
+    it('should update many events with JSON Patches', async () => {
+      const patch = [
+        {op: 'test', path: '/meta/pending', value: true},
+        {op: 'remove', path: '/meta/pending'},
+        {op: 'add', path: '/meta/processed', value: true}
+      ];
+      // mix JSON Patches and legacy patches
+      const eventUpdates = events.map(({meta}, i) => ({
+        eventHash: meta.eventHash,
+        patch: i % 2 === 0 ? patch : [
+          {op: 'unset', changes: {meta: {pending: 1}}},
+          {op: 'set', changes: {meta: {processed: true}}}
+        ]
+      }));
+      await ledgerStorage.events.updateMany({events: eventUpdates});
+      for(const event of events) {
+        const {eventHash} = event.meta;
+        const result = await ledgerStorage.events.get(eventHash);
+        result.meta.processed.should.be.true;
+        should.not.exist(result.meta.pending);
+      }
+    });
+
     it('should update many events N times', async () => {
       // patch the event
       const patch = [
@@ -887,6 +975,37 @@ describe('Event Storage API', () => {
       meta.eventHash = eventHash;
       await ledgerStorage.events.add({event, meta});
       await ledgerStorage.events.remove(eventHash);
+      const exists = await ledgerStorage.events.exists(eventHash);
+      exists.should.be.false;
+      let err;
+      try {
+        await ledgerStorage.events.get(eventHash);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      // the rest of the meta is kept
+      const record = await ledgerStorage.events.collection.findOne(
+        {'meta.eventHash': eventHash});
+      record.meta.eventHash.should.equal(eventHash);
+      record.meta.deleted.should.be.a('number');
+    });
+    it('should hard delete an event', async () => {
+      const event = bedrock.util.clone(configEventTemplate);
+      event.ledgerConfiguration.creator = `https://example.com/${uuid()}`;
+      const eventHash = await helpers.testHasher(event);
+      await ledgerStorage.events.add({event, meta: {eventHash}});
+      // an event that is already marked as deleted may be hard deleted
+      await ledgerStorage.events.remove(eventHash);
+      await ledgerStorage.events.remove(eventHash, {hard: true});
+      const count = await ledgerStorage.events.collection.countDocuments(
+        {'meta.eventHash': eventHash});
+      count.should.equal(0);
+      // a hard deleted event may be added again
+      await ledgerStorage.events.add({event, meta: {eventHash}});
+      const exists = await ledgerStorage.events.exists(eventHash);
+      exists.should.be.true;
     });
     it('should fail to remove non-existent event', async () => {
       const eventHash = 'InvalidHash';
@@ -269,9 +269,12 @@ describe('Operation Storage API', () => {
       const result = await ledgerStorage.operations.exists(
         {explain: true, recordId: 'foobar'});
       const {inputStage} = result.executionStats.executionStages;
-      inputStage.stage.should.equal('PROJECTION_COVERED');
-      inputStage.inputStage.stage.should.equal('IXSCAN');
-      inputStage.inputStage.indexName.should.equal('operation.recordId.core.1');
+      inputStage.stage.should.equal('PROJECTION_SIMPLE');
+      // the operation is fetched to exclude deleted operations
+      inputStage.inputStage.stage.should.equal('FETCH');
+      const {inputStage: ixscan} = inputStage.inputStage;
+      ixscan.stage.should.equal('IXSCAN');
+      ixscan.indexName.should.equal('operation.recordId.core.1');
     });
     it('properly shows existence recordId param', async () => {
       const eventTemplate = mockData.events.alpha;
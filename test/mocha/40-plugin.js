@@ -57,6 +57,72 @@ describe('Storage Plugin API', () => {
         'mockIndex');
       result.should.be.true;
     });
+    it('plugin indexes are verified', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: exampleLedgerId(), ledgerNodeId: exampleLedgerNodeId(),
+        plugins: ['mock']
+      };
+      const storage = await blsMongodb.add(meta, options);
+      let report = await blsMongodb.verifyIndexes(storage.id);
+      report.valid.should.be.true;
+      report.collections.operation.extra.should.have.length(0);
+      await storage.operations.collection.dropIndex('mockIndex');
+      report = await blsMongodb.verifyIndexes(storage.id, {repair: true});
+      report.collections.operation.missing.map(i => i.options.name)
+        .should.eql(['mockIndex']);
+      const result = await storage.operations.collection.indexExists(
+        'mockIndex');
+      result.should.be.true;
+    });
+  });
+  describe('addPlugins API', () => {
+    it('attaches a plugin to an existing ledger', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: exampleLedgerId(), ledgerNodeId: exampleLedgerNodeId()
+      };
+      const {id} = await blsMongodb.add(meta, options);
+      const storage = await blsMongodb.addPlugins(id, {plugins: ['mock']});
+      should.exist(storage.operations.plugins.mock.mockQuery);
+      const result = await storage.operations.collection.indexExists(
+        'mockIndex');
+      result.should.be.true;
+      const record = await storage.driver.collections.ledger.findOne({id});
+      record.ledger.plugins.should.eql(['mock']);
+    });
+    it('fails to attach an unknown plugin', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: exampleLedgerId(), ledgerNodeId: exampleLedgerNodeId()
+      };
+      const {id} = await blsMongodb.add(meta, options);
+      let err;
+      try {
+        await blsMongodb.addPlugins(id, {plugins: ['unknown']});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+  describe('removePlugins API', () => {
+    it('detaches a plugin from an existing ledger', async () => {
+      const meta = {};
+      const options = {
+        ledgerId: exampleLedgerId(), ledgerNodeId: exampleLedgerNodeId(),
+        plugins: ['mock']
+      };
+      const {id} = await blsMongodb.add(meta, options);
+      const storage = await blsMongodb.removePlugins(id, {plugins: ['mock']});
+      should.not.exist(storage.operations.plugins.mock);
+      const result = await storage.operations.collection.indexExists(
+        'mockIndex');
+      result.should.be.false;
+      const record = await storage.driver.collections.ledger.findOne({id});
+      record.ledger.plugins.should.eql([]);
+    });
   });
   describe('mock record query API', () => {
     let ledgerStorage;
@@ -62,9 +62,11 @@ api.addEvent = async ({
 
 api.average = arr => Math.round(arr.reduce((p, c) => p + c, 0) / arr.length);
 
+// when `previousBlockHash` is given, the blocks are linked to it and to
+// each other, otherwise `previousBlockHash` is random
 api.createBlocks = async ({
   blockTemplate, eventTemplate, blockNum = 1, eventNum = 1, opTemplate,
-  startBlock = 1
+  previousBlockHash, startBlock = 1
 }) => {
   const blocks = [];
   const events = [];
@@ -75,7 +77,7 @@ api.createBlocks = async ({
     block.id = `https://example.com/block/${uuid()}`;
     block.blockHeight = startBlock + i;
     block.previousBlock = uuid();
-    block.previousBlockHash = uuid();
+    block.previousBlockHash = previousBlockHash || uuid();
     const time = startTime + i;
     const meta = {
       created: time,
@@ -92,6 +94,9 @@ api.createBlocks = async ({
     block.event = block.eventHash;
     delete block.eventHash;
     blocks.push({block, meta});
+    if(previousBlockHash) {
+      previousBlockHash = meta.blockHash;
+    }
   }
   return {blocks, events, operations};
 };
@@ -126,6 +131,15 @@ api.createEvent = async ({
   return {events, operations};
 };
 
+// adds blocks created by `createBlocks` with their events and operations
+api.addBlocks = async ({blocks, events, ledgerStorage, operations}) => {
+  await ledgerStorage.operations.addMany({operations});
+  await ledgerStorage.events.addMany({events});
+  for(const block of blocks) {
+    await ledgerStorage.blocks.add(block);
+  }
+};
+
 api.removeCollections = async function(collections = []) {
   const collectionNames = [].concat(collections);
   await database.openCollections(collectionNames);
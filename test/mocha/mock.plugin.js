@@ -23,6 +23,15 @@ module.exports = {
         options: {unique: false, background: false, name: 'mockIndex'}
       }]);
     },
+    removeIndexes: async ({dropIndexes, collections}) => {
+      should.exist(dropIndexes);
+      dropIndexes.should.be.a('function');
+      should.exist(collections);
+      return dropIndexes([{
+        collection: collections.operationCollection,
+        name: 'mockIndex'
+      }]);
+    },
     storage: {
       operations: {
         // NOTE: do not use arrow functions here because this function is to be
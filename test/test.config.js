@@ -16,6 +16,9 @@ config.mongodb.name = 'bedrock_ledger_storage_mongodb_test';
 config.mongodb.dropCollections.onInit = true;
 config.mongodb.dropCollections.collections = [];
 
+// roll forward interrupted block commits promptly
+config['ledger-storage-mongodb'].commit.interval = 500;
+
 roles['bedrock-ledger-storage-mongodb.test'] = {
   id: 'bedrock-ledger-storage-mongodb.test',
   label: 'Test Role',